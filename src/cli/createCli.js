@@ -1,12 +1,18 @@
 const yargs = require('yargs/yargs')
 const { hideBin } = require('yargs/helpers')
 const process = require('process')
+const { OUTPUT_FORMATS } = require('./writeReport')
 
 const defaultOptions = {
   provider: 'ollama',
   model: '',
   apiKey: '',
+  anthropicApiKey: '',
   baseUrl: '',
+  fallback: '',
+  modelCheck: true,
+  allowCloudFallback: false,
+  routes: '',
   frames: 3,
   case: 'kebabCase',
   chars: 80,
@@ -16,9 +22,34 @@ const defaultOptions = {
   instructionsFile: '',
   subjectStopwords: '',
   dryRun: false,
+  planFile: '',
+  interactive: false,
   summary: false,
+  output: 'text',
   jsonMode: true,
   maxFileSize: 0,
+  concurrency: 1,
+  resume: false,
+  checkpointFile: '',
+  cache: true,
+  cacheDir: '',
+  duplicates: 'keep',
+  temperature: null,
+  numCtx: 0,
+  seed: null,
+  keepAlive: '',
+  requestTimeout: 300,
+  maxRetries: 3,
+  repairAttempts: 2,
+  samples: 1,
+  consensusThreshold: 0.6,
+  priceTable: '',
+  maxCost: 0,
+  maxTokens: 0,
+  stream: false,
+  stallTimeout: 60,
+  watch: false,
+  watchSettleSeconds: 2,
   onlyExtensions: '',
   ignoreExtensions: '',
   organizeBySubject: false,
@@ -37,7 +68,7 @@ const defaultOptions = {
 const CLI_OPTIONS = {
   provider: {
     alias: 'p',
-    describe: 'Set the model provider (ollama, lm-studio, openai)',
+    describe: 'Set the model provider (ollama, lm-studio, llamacpp, openai, anthropic, heuristic)',
     type: 'string'
   },
   apiKey: {
@@ -45,11 +76,37 @@ const CLI_OPTIONS = {
     describe: 'API key for OpenAI-compatible providers',
     type: 'string'
   },
+  anthropicApiKey: {
+    cliName: 'anthropic-api-key',
+    defaultKey: 'anthropicApiKey',
+    describe: 'API key for the anthropic provider (defaults to ANTHROPIC_API_KEY)',
+    type: 'string'
+  },
   baseUrl: {
     alias: 'u',
     describe: 'Base URL for the provider endpoint (include /v1 for OpenAI-compatible APIs)',
     type: 'string'
   },
+  fallback: {
+    describe: 'Comma-separated providers to try when the main one is unreachable or answers badly (provider[:model][@baseUrl])',
+    type: 'string'
+  },
+  modelCheck: {
+    cliName: 'model-check',
+    defaultKey: 'modelCheck',
+    describe: 'Check that --model exists before processing (disable with --no-model-check)',
+    type: 'boolean'
+  },
+  allowCloudFallback: {
+    cliName: 'allow-cloud-fallback',
+    defaultKey: 'allowCloudFallback',
+    describe: 'Allow openai and anthropic entries in --fallback',
+    type: 'boolean'
+  },
+  routes: {
+    describe: 'Comma-separated providers per file category (category=provider[:model][@baseUrl] or category=skip)',
+    type: 'string'
+  },
   model: {
     alias: 'm',
     describe: 'Model identifier to use',
@@ -97,6 +154,17 @@ const CLI_OPTIONS = {
     describe: 'Preview renames without writing to disk',
     type: 'boolean'
   },
+  planFile: {
+    cliName: 'plan-file',
+    defaultKey: 'planFile',
+    describe: 'Write the proposed renames to a plan file during --dry-run (apply it later with the apply command)',
+    type: 'string'
+  },
+  interactive: {
+    alias: 'i',
+    describe: 'Review each proposed rename before it is applied (accept, edit, skip, or regenerate)',
+    type: 'boolean'
+  },
   summary: {
     describe: 'Print a summary report after processing',
     type: 'boolean'
@@ -105,6 +173,121 @@ const CLI_OPTIONS = {
     describe: 'Skip files larger than the provided size in MB',
     type: 'number'
   },
+  concurrency: {
+    describe: 'Number of files to extract and send to the provider in parallel',
+    type: 'number'
+  },
+  resume: {
+    describe: 'Skip files completed by an interrupted run, using its checkpoint file',
+    type: 'boolean'
+  },
+  checkpointFile: {
+    cliName: 'checkpoint-file',
+    defaultKey: 'checkpointFile',
+    describe: 'Path for the run checkpoint (defaults to .ai-renamer-checkpoint.jsonl in the top-level directory)',
+    type: 'string'
+  },
+  cache: {
+    describe: 'Reuse cached model responses for unchanged files and prompts (disable with --no-cache)',
+    type: 'boolean'
+  },
+  cacheDir: {
+    cliName: 'cache-dir',
+    defaultKey: 'cacheDir',
+    describe: 'Directory for cached model responses (defaults to ~/.ai-renamer/cache)',
+    type: 'string'
+  },
+  duplicates: {
+    describe: 'How to handle byte-identical files: keep, skip, delete, or move-to=<dir>',
+    type: 'string'
+  },
+  temperature: {
+    describe: 'Ollama sampling temperature (leave unset for the model default)',
+    type: 'number'
+  },
+  numCtx: {
+    cliName: 'num-ctx',
+    defaultKey: 'numCtx',
+    describe: 'Ollama context window size in tokens (0 keeps the model default)',
+    type: 'number'
+  },
+  seed: {
+    describe: 'Ollama sampling seed for reproducible answers',
+    type: 'number'
+  },
+  keepAlive: {
+    cliName: 'keep-alive',
+    defaultKey: 'keepAlive',
+    describe: 'How long Ollama keeps the model loaded between files (e.g. 10m, -1 for forever)',
+    type: 'string'
+  },
+  requestTimeout: {
+    cliName: 'request-timeout',
+    defaultKey: 'requestTimeout',
+    describe: 'Seconds to wait for a single provider request before aborting it (0 disables)',
+    type: 'number'
+  },
+  maxRetries: {
+    cliName: 'max-retries',
+    defaultKey: 'maxRetries',
+    describe: 'Retries for timed-out or transient provider failures (429, 5xx, dropped connections)',
+    type: 'number'
+  },
+  stream: {
+    describe: 'Stream tokens from Ollama and OpenAI-compatible servers and preview filenames as they are written',
+    type: 'boolean'
+  },
+  stallTimeout: {
+    cliName: 'stall-timeout',
+    defaultKey: 'stallTimeout',
+    describe: 'Abort a streamed response when no tokens arrive for this many seconds (0 disables)',
+    type: 'number'
+  },
+  repairAttempts: {
+    cliName: 'repair-attempts',
+    defaultKey: 'repairAttempts',
+    describe: 'Times to re-prompt the model when its answer fails validation (0 disables)',
+    type: 'number'
+  },
+  samples: {
+    describe: 'Completions to request per file; the subject is chosen by majority vote',
+    type: 'number'
+  },
+  consensusThreshold: {
+    cliName: 'consensus-threshold',
+    defaultKey: 'consensusThreshold',
+    describe: 'Share of samples that must agree on a subject before it is used (0-1)',
+    type: 'number'
+  },
+  priceTable: {
+    cliName: 'price-table',
+    defaultKey: 'priceTable',
+    describe: 'JSON file of per-model prices (USD per million input/output tokens)',
+    type: 'string'
+  },
+  maxCost: {
+    cliName: 'max-cost',
+    defaultKey: 'maxCost',
+    describe: 'Stop the run once the estimated cost reaches this many USD (0 disables)',
+    type: 'number'
+  },
+  maxTokens: {
+    cliName: 'max-tokens',
+    defaultKey: 'maxTokens',
+    describe: 'Stop the run once this many tokens have been used (0 disables)',
+    type: 'number'
+  },
+  watch: {
+    alias: 'w',
+    describe: 'Keep running and rename new files as they finish arriving in the directory',
+    type: 'boolean'
+  },
+  watchSettleSeconds: {
+    cliName: 'watch-settle-seconds',
+    defaultKey: 'watchSettleSeconds',
+    describe: 'How long a new file must stay unchanged before watch mode processes it',
+    type: 'number'
+  },
   onlyExtensions: {
     describe: 'Process only files with these comma-separated extensions',
     type: 'string'
@@ -173,6 +356,11 @@ const CLI_OPTIONS = {
     describe: 'Separator used between formatted filename segments (subject, descriptors, title, date)',
     type: 'string'
   },
+  output: {
+    describe: 'Print the run report to stdout as text, json, or ndjson (logs go to stderr for json/ndjson)',
+    choices: OUTPUT_FORMATS,
+    type: 'string'
+  },
   jsonMode: {
     cliName: 'json-mode',
     defaultKey: 'jsonMode',
@@ -188,7 +376,30 @@ function createCli (config = {}) {
       describe: 'File or directory to process',
       type: 'string'
     })
+    .command('undo <log>', 'Restore original filenames from an operation log', (command) => command
+      .positional('log', {
+        describe: 'Path to the .jsonl operation log written by a previous run',
+        type: 'string'
+      }))
+    .command('apply <plan>', 'Apply the renames recorded in a plan file without calling a provider', (command) => command
+      .positional('plan', {
+        describe: 'Path to the plan file written by --dry-run --plan-file',
+        type: 'string'
+      }))
+    .command('models', 'List the models the provider offers and which accept images')
+    .command('cache <action>', 'Inspect or clear the model response cache', (command) => command
+      .positional('action', {
+        describe: 'Cache operation to run',
+        choices: ['stats', 'clear'],
+        type: 'string'
+      }))
     .example('$0 ~/Downloads/Pitches --dry-run --summary', 'Preview renames and print a summary report')
+    .example('$0 ~/Downloads/Pitches --dry-run --plan-file=plan.json', 'Write a reviewable plan without renaming anything')
+    .example('$0 apply plan.json', 'Apply a reviewed plan exactly as proposed')
+    .example('$0 ~/Downloads --watch --organize-by-subject', 'File new downloads as they arrive')
+    .example('$0 ~/Inbox --output json > report.json', 'Write a machine-readable report for scripts')
+    .example('$0 models --provider=lm-studio', 'See which LM Studio models are loaded and which accept images')
+    .example('$0 undo ~/Downloads/Pitches/ai-renamer-log-2025-01-01T12-00-00-000Z.jsonl', 'Roll back a previous run')
 
   const detectedWidth = typeof parser.terminalWidth === 'function' ? parser.terminalWidth() : undefined
   const stdoutWidth = process.stdout && Number.isFinite(process.stdout.columns) ? process.stdout.columns : undefined
@@ -0,0 +1,38 @@
+const EXIT_CODES = {
+  SUCCESS: 0,
+  CONFIG_OR_PROVIDER_ERROR: 1,
+  PARTIAL_FAILURE: 2,
+  NOTHING_PROCESSED: 3,
+  INTERRUPTED: 130
+}
+
+function countProcessed ({ renamed = [], duplicates = [] }) {
+  // "keep" duplicates are already counted as renames; "skip" leaves the file alone.
+  const handledDuplicates = duplicates.filter(item => item.action === 'delete' || item.action === 'move-to')
+  return renamed.length + handledDuplicates.length
+}
+
+function exitCodeForRun (result) {
+  if (!result) return EXIT_CODES.NOTHING_PROCESSED
+  if (result.interrupted) return EXIT_CODES.INTERRUPTED
+  // Files left over after a --max-cost/--max-tokens stop count as unprocessed.
+  if (result.budgetExceeded) return EXIT_CODES.PARTIAL_FAILURE
+
+  const errors = result.errors || []
+  const processed = countProcessed(result)
+  if (errors.length) {
+    // When the provider failed for every file it reached and nothing got renamed,
+    // the run as a whole failed rather than individual files.
+    if (!processed && errors.every(item => item.kind === 'provider')) {
+      return EXIT_CODES.CONFIG_OR_PROVIDER_ERROR
+    }
+    return EXIT_CODES.PARTIAL_FAILURE
+  }
+
+  return processed ? EXIT_CODES.SUCCESS : EXIT_CODES.NOTHING_PROCESSED
+}
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeForRun
+}
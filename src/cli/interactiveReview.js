@@ -0,0 +1,125 @@
+const path = require('path')
+const process = require('process')
+const readline = require('readline/promises')
+const { describeVotes } = require('../core/consensus')
+
+const ACTIONS = {
+  a: 'accept',
+  accept: 'accept',
+  n: 'edit-name',
+  name: 'edit-name',
+  s: 'edit-subject',
+  subject: 'edit-subject',
+  k: 'skip',
+  skip: 'skip',
+  r: 'regenerate',
+  regenerate: 'regenerate',
+  q: 'quit',
+  quit: 'quit'
+}
+
+function formatConfidence (value) {
+  return typeof value === 'number' ? value.toFixed(2) : 'n/a'
+}
+
+function createInteractiveReviewer ({ input = process.stdin, output = process.stdout } = {}) {
+  if (!input.isTTY) {
+    throw new Error('--interactive requires an interactive terminal (stdin is not a TTY)')
+  }
+
+  const rl = readline.createInterface({ input, output })
+  let activeQuestion = null
+
+  // readline swallows Ctrl-C while it owns the terminal; abort the open question
+  // and forward the signal so the run can shut down cleanly.
+  rl.on('SIGINT', () => {
+    if (activeQuestion) {
+      activeQuestion.abort()
+    }
+    process.emit('SIGINT', 'SIGINT')
+  })
+
+  async function ask (question, prefill = '') {
+    activeQuestion = new AbortController()
+    const pending = rl.question(question, { signal: activeQuestion.signal })
+    if (prefill) {
+      rl.write(prefill)
+    }
+    try {
+      const answer = await pending
+      return answer.trim()
+    } finally {
+      activeQuestion = null
+    }
+  }
+
+  async function review (request) {
+    try {
+      return await promptForDecision(request)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        output.write('\n')
+        return { action: 'quit' }
+      }
+      throw error
+    }
+  }
+
+  async function promptForDecision ({ filePath, proposal }) {
+    const { result, sanitizedName, destinationDirectory, resolvedSubject, effectiveConfidence } = proposal
+    const lines = [
+      '',
+      `--- Review ${path.basename(filePath)} ---`,
+      `  Original:    ${path.basename(filePath)}`,
+      `  Proposed:    ${sanitizedName}`,
+      `  Subject:     ${resolvedSubject || '(none)'} (confidence ${formatConfidence(effectiveConfidence)})`,
+      `  Destination: ${destinationDirectory}`
+    ]
+    if (result.summary) {
+      lines.push(`  Summary:     ${result.summary}`)
+    }
+    if (result.consensus) {
+      const { samples, votes, agreed } = result.consensus
+      lines.push(`  Samples:     ${votes[0].count}/${samples} agree (${describeVotes(result.consensus)})${agreed ? '' : ' - subjects disagree'}`)
+    }
+    output.write(`${lines.join('\n')}\n`)
+
+    while (true) {
+      const choice = (await ask('[a]ccept, edit [n]ame, edit [s]ubject, s[k]ip, [r]egenerate, [q]uit: ')).toLowerCase()
+      const action = ACTIONS[choice]
+      if (!action) {
+        output.write(`Unrecognised choice "${choice}".\n`)
+        continue
+      }
+
+      if (action === 'edit-name') {
+        const value = await ask('New filename: ', sanitizedName)
+        if (!value) continue
+        return { action, value }
+      }
+
+      if (action === 'edit-subject') {
+        const value = await ask('New subject (leave empty for none): ', resolvedSubject || '')
+        return { action, value }
+      }
+
+      if (action === 'regenerate') {
+        const guidance = await ask('Extra guidance for the model: ')
+        return { action, guidance }
+      }
+
+      return { action }
+    }
+  }
+
+  return {
+    review,
+    close () {
+      rl.close()
+    }
+  }
+}
+
+module.exports = {
+  createInteractiveReviewer
+}
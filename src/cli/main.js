@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+const path = require('path')
+const process = require('process')
+const { EventEmitter } = require('events')
+
+const { createCli } = require('./createCli')
+const { loadConfig, saveConfig, filterPersistedOptions } = require('../config/configStore')
+const { runRenamer } = require('../core/runRenamer')
+const { watchDirectory } = require('../core/watchDirectory')
+const { undoRenames } = require('../core/undoRenames')
+const { applyRenamePlan } = require('../core/applyRenamePlan')
+const { createResponseCache } = require('../core/responseCache')
+const { buildLogger } = require('../utils/logger')
+const { createProviderClient } = require('../providers/createProviderClient')
+const { findModel } = require('../providers/modelCheck')
+const { EXIT_CODES, exitCodeForRun } = require('./exitCodes')
+const { writeReport } = require('./writeReport')
+const { createStreamPreview } = require('./streamPreview')
+const { createInteractiveReviewer } = require('./interactiveReview')
+
+async function main () {
+  const config = await loadConfig()
+  const cli = createCli(config)
+
+  let argv
+  try {
+    argv = await cli.parseAsync()
+  } catch (error) {
+    buildLogger().error(error.message)
+    process.exitCode = EXIT_CODES.CONFIG_OR_PROVIDER_ERROR
+    return
+  }
+
+  const outputFormat = argv.output || 'text'
+  const logger = buildLogger({ useStderr: outputFormat !== 'text' })
+  const fail = (error) => {
+    logger.error(error.message)
+    if (error.stack) {
+      logger.debug(error.stack)
+    }
+    writeReport({ error: error.message }, outputFormat)
+    process.exitCode = EXIT_CODES.CONFIG_OR_PROVIDER_ERROR
+  }
+
+  if (argv._[0] === 'undo') {
+    try {
+      const result = await undoRenames(path.resolve(process.cwd(), argv.log), { dryRun: argv.dryRun }, logger)
+      writeReport(result, outputFormat)
+      if (result.conflicts.length) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE
+      } else if (!result.restored.length) {
+        process.exitCode = EXIT_CODES.NOTHING_PROCESSED
+      }
+    } catch (error) {
+      fail(error)
+    }
+    return
+  }
+
+  if (argv._[0] === 'apply') {
+    try {
+      const result = await applyRenamePlan(path.resolve(process.cwd(), argv.plan), { ...config, ...argv }, logger)
+      writeReport(result, outputFormat)
+      if (result.errors.length || result.skipped.length) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE
+      } else if (!result.renamed.length) {
+        process.exitCode = EXIT_CODES.NOTHING_PROCESSED
+      }
+    } catch (error) {
+      fail(error)
+    }
+    return
+  }
+
+  if (argv._[0] === 'models') {
+    const options = { ...config, ...argv }
+    try {
+      const client = createProviderClient(options, logger)
+      if (typeof client.listModels !== 'function') {
+        throw new Error(`The ${options.provider} provider cannot list models`)
+      }
+      const models = await client.listModels()
+      logger.info(`Models available from ${options.provider}:`)
+      models.forEach(entry => {
+        const vision = entry.vision === null ? 'vision unknown' : entry.vision ? 'vision' : 'text only'
+        const current = entry === findModel(models, client.model) ? ' (current)' : ''
+        logger.info(`  ${entry.name} [${vision}]${current}`)
+      })
+      if (!models.length) {
+        logger.warn('No models reported.')
+        process.exitCode = EXIT_CODES.NOTHING_PROCESSED
+      }
+      writeReport({ provider: options.provider, models }, outputFormat)
+    } catch (error) {
+      fail(error)
+    }
+    return
+  }
+
+  if (argv._[0] === 'cache') {
+    const cache = createResponseCache({ directory: argv.cacheDir, logger })
+    try {
+      if (argv.action === 'clear') {
+        const { directory, removed } = await cache.clear()
+        logger.info(`Removed ${removed} cached response${removed === 1 ? '' : 's'} from ${directory}`)
+        writeReport({ directory, removed }, outputFormat)
+      } else {
+        const stats = await cache.stats()
+        logger.info(`Cache directory: ${stats.directory}`)
+        logger.info(`Entries: ${stats.entries}`)
+        logger.info(`Size: ${(stats.totalBytes / 1024).toFixed(1)} KB`)
+        if (stats.entries) {
+          logger.info(`Oldest entry: ${stats.oldest}`)
+          logger.info(`Newest entry: ${stats.newest}`)
+        }
+        writeReport(stats, outputFormat)
+      }
+    } catch (error) {
+      fail(error)
+    }
+    return
+  }
+
+  const targetPath = argv._[0]
+  if (!targetPath) {
+    cli.showHelp()
+    process.exitCode = EXIT_CODES.CONFIG_OR_PROVIDER_ERROR
+    return
+  }
+
+  const resolvedTargetPath = path.resolve(process.cwd(), targetPath)
+
+  const effectiveOptions = { ...config, ...argv }
+  delete effectiveOptions._
+  delete effectiveOptions.$0
+
+  const persistedOptions = filterPersistedOptions(effectiveOptions)
+  await saveConfig(persistedOptions)
+
+  const runtime = {}
+  try {
+    const run = effectiveOptions.watch ? watchDirectory : runRenamer
+    if (effectiveOptions.interactive) {
+      // Like the logger, prompts move to stderr when stdout carries a json/ndjson report.
+      runtime.reviewer = createInteractiveReviewer({ output: outputFormat === 'text' ? process.stdout : process.stderr })
+    }
+    let runLogger = logger
+    if (effectiveOptions.stream && process.stderr.isTTY) {
+      runtime.events = new EventEmitter()
+      const preview = createStreamPreview({ events: runtime.events })
+      // Log lines would otherwise be appended to the half-drawn preview line.
+      runLogger = Object.fromEntries(Object.entries(logger).map(([level, log]) => [level, (...args) => {
+        preview.clear()
+        log(...args)
+      }]))
+    }
+    const result = await run(resolvedTargetPath, effectiveOptions, runLogger, runtime)
+    const { plan, ...report } = result
+    writeReport(report, outputFormat)
+    process.exitCode = exitCodeForRun(result)
+  } catch (error) {
+    fail(error)
+  } finally {
+    if (runtime.reviewer) {
+      runtime.reviewer.close()
+    }
+  }
+}
+
+main()
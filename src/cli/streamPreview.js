@@ -0,0 +1,37 @@
+const path = require('path')
+const process = require('process')
+
+const REFRESH_MS = 100
+
+// Shows the filename a streaming model is writing on a single, constantly redrawn
+// terminal line. Only used when stderr is a TTY.
+function createStreamPreview ({ events, output = process.stderr }) {
+  let lastDraw = 0
+  let visible = false
+
+  function clear () {
+    if (!visible) return
+    output.write('\r\x1b[2K')
+    visible = false
+  }
+
+  events.on('file:progress', ({ file, text, filename }) => {
+    const now = Date.now()
+    if (now - lastDraw < REFRESH_MS) return
+    lastDraw = now
+
+    const preview = filename === null ? `receiving (${text.length} chars)` : `"${filename}"`
+    const line = `  ${path.basename(file)} -> ${preview}`
+    const width = output.columns || 80
+    output.write(`\r\x1b[2K${line.length > width - 1 ? `${line.slice(0, width - 2)}…` : line}`)
+    visible = true
+  })
+
+  ;['file:proposed', 'file:skipped', 'file:error'].forEach(name => events.on(name, clear))
+
+  return { clear }
+}
+
+module.exports = {
+  createStreamPreview
+}
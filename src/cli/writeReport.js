@@ -0,0 +1,31 @@
+const process = require('process')
+
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson']
+
+function toNdjsonLines (report) {
+  const lines = []
+  const totals = { type: 'summary' }
+  Object.entries(report).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => lines.push({ type: key, ...item }))
+      totals[key] = value.length
+    } else {
+      totals[key] = value
+    }
+  })
+  lines.push(totals)
+  return lines
+}
+
+function writeReport (report, format, stream = process.stdout) {
+  if (format === 'json') {
+    stream.write(`${JSON.stringify(report, null, 2)}\n`)
+  } else if (format === 'ndjson') {
+    toNdjsonLines(report).forEach(line => stream.write(`${JSON.stringify(line)}\n`))
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  writeReport
+}
@@ -7,7 +7,11 @@ const CONFIG_FILE = path.join(os.homedir(), 'ai-renamer.json')
 const PERSISTED_KEYS = new Set([
   'provider',
   'apiKey',
+  'anthropicApiKey',
   'baseUrl',
+  'fallback',
+  'allowCloudFallback',
+  'routes',
   'model',
   'frames',
   'case',
@@ -18,6 +22,22 @@ const PERSISTED_KEYS = new Set([
   'instructionsFile',
   'subjectStopwords',
   'maxFileSize',
+  'concurrency',
+  'cacheDir',
+  'temperature',
+  'numCtx',
+  'seed',
+  'keepAlive',
+  'requestTimeout',
+  'maxRetries',
+  'repairAttempts',
+  'stream',
+  'stallTimeout',
+  'samples',
+  'consensusThreshold',
+  'priceTable',
+  'rateLimits',
+  'watchSettleSeconds',
   'onlyExtensions',
   'ignoreExtensions',
   'organizeBySubject',
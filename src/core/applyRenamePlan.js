@@ -0,0 +1,152 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { readRenamePlan } = require('./renamePlan')
+const { commitRename } = require('./commitRename')
+const { createNameReservations } = require('./nameReservations')
+const { createSummary } = require('./summary')
+const { createOperationLog } = require('../utils/operationLog')
+
+function describeChange (fingerprint, stats) {
+  if (!fingerprint) return 'plan entry has no fingerprint'
+  if (fingerprint.size !== stats.size) {
+    return `size changed since the plan was written (${fingerprint.size} -> ${stats.size} bytes)`
+  }
+  if (Math.trunc(fingerprint.mtimeMs) !== Math.trunc(stats.mtimeMs)) {
+    return 'modified since the plan was written'
+  }
+  return null
+}
+
+async function applyRenamePlan (planPath, options, logger) {
+  const plan = await readRenamePlan(planPath)
+  const rootDirectory = plan.rootDirectory || path.dirname(planPath)
+
+  const operationLog = await createOperationLog({
+    rootDirectory,
+    explicitPath: options.logFile,
+    logger
+  })
+  const summary = createSummary()
+  // Dry runs reserve each planned name so later entries see the same collisions a
+  // real apply would.
+  const reservations = options.dryRun ? createNameReservations() : null
+
+  for (const entry of plan.entries) {
+    const { originalPath, proposedPath } = entry
+    const skip = (reason) => {
+      logger.warn(`Skipping ${originalPath}: ${reason}`)
+      summary.addSkip({ file: originalPath, reason })
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'skip',
+        file: originalPath,
+        reason
+      })
+    }
+
+    try {
+      let stats
+      try {
+        stats = await fs.stat(originalPath)
+      } catch (error) {
+        skip('file no longer exists')
+        continue
+      }
+
+      const change = describeChange(entry.fingerprint, stats)
+      if (change) {
+        skip(change)
+        continue
+      }
+
+      const destinationDirectory = path.dirname(proposedPath)
+      const moved = destinationDirectory !== path.dirname(originalPath)
+
+      if (options.dryRun) {
+        const finalName = reservations.reserve(destinationDirectory, path.basename(proposedPath))
+        const destinationPath = path.join(destinationDirectory, finalName)
+        logger.info(`[dry-run] ${originalPath} -> ${destinationPath}`)
+        summary.addRename({
+          original: originalPath,
+          newName: destinationPath,
+          subject: entry.subject,
+          confidence: entry.subjectConfidence,
+          notes: entry.summary,
+          subjectBrief: entry.subjectBrief,
+          documentDescription: entry.documentDescription
+        })
+        if (moved) {
+          summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: entry.subject })
+        }
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'dry-run',
+          originalPath,
+          proposedPath: destinationPath,
+          subject: entry.subject,
+          moved,
+          plan: planPath
+        })
+        continue
+      }
+
+      const { destinationPath, createdDirectories, fingerprint } = await commitRename({
+        filePath: originalPath,
+        destinationDirectory,
+        fileName: path.basename(proposedPath)
+      })
+      logger.info(`Renamed to ${destinationPath}`)
+
+      summary.addRename({
+        original: originalPath,
+        newName: destinationPath,
+        subject: entry.subject,
+        confidence: entry.subjectConfidence,
+        notes: entry.summary,
+        subjectBrief: entry.subjectBrief,
+        documentDescription: entry.documentDescription
+      })
+      if (moved) {
+        summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: entry.subject })
+      }
+
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'rename',
+        originalPath,
+        newPath: destinationPath,
+        subject: entry.subject,
+        subjectConfidence: entry.subjectConfidence,
+        summary: entry.summary,
+        subjectBrief: entry.subjectBrief,
+        documentDescription: entry.documentDescription,
+        date: entry.date,
+        moved,
+        createdDirectories,
+        fingerprint,
+        plan: planPath
+      })
+    } catch (error) {
+      logger.error(`Error applying plan entry for ${originalPath}: ${error.message}`)
+      summary.addError({ file: originalPath, error: error.message })
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'error',
+        file: originalPath,
+        error: error.message
+      })
+    }
+  }
+
+  if (options.summary) {
+    summary.print(logger)
+  }
+
+  await operationLog.close()
+
+  return summary.export()
+}
+
+module.exports = {
+  applyRenamePlan
+}
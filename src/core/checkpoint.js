@@ -0,0 +1,77 @@
+const fs = require('fs')
+const fsPromises = require('fs/promises')
+const path = require('path')
+
+const COMPLETED_OUTCOMES = new Set(['renamed', 'skipped'])
+
+async function loadCompletedEntries (checkpointPath, logger) {
+  const completed = new Map()
+  let raw
+  try {
+    raw = await fsPromises.readFile(checkpointPath, 'utf8')
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+    logger.warn(`No checkpoint found at ${checkpointPath}; starting a fresh run.`)
+    return completed
+  }
+
+  raw.split('\n').forEach(line => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    let entry
+    try {
+      entry = JSON.parse(trimmed)
+    } catch (error) {
+      // A run killed mid-write can leave a partial final line behind.
+      return
+    }
+    if (!entry || !COMPLETED_OUTCOMES.has(entry.outcome) || !entry.hash) return
+    completed.set(entry.newPath || entry.path, entry.hash)
+  })
+
+  logger.info(`Resuming from ${checkpointPath} (${completed.size} completed files)`)
+  return completed
+}
+
+async function createCheckpoint ({ checkpointPath, resume, logger }) {
+  const resolvedPath = path.resolve(checkpointPath)
+  const completed = resume ? await loadCompletedEntries(resolvedPath, logger) : new Map()
+
+  await fsPromises.mkdir(path.dirname(resolvedPath), { recursive: true })
+  const stream = fs.createWriteStream(resolvedPath, { flags: resume ? 'a' : 'w' })
+  stream.on('error', (error) => {
+    logger.error(`Checkpoint write error: ${error.message}`)
+  })
+
+  let closed = false
+
+  async function close () {
+    if (closed) return
+    closed = true
+    await new Promise((resolve) => {
+      stream.end(resolve)
+    })
+  }
+
+  return {
+    path: resolvedPath,
+    isComplete (filePath, hash) {
+      return completed.has(filePath) && completed.get(filePath) === hash
+    },
+    record (entry) {
+      if (closed) return
+      stream.write(`${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`)
+    },
+    close,
+    async remove () {
+      await close()
+      await fsPromises.rm(resolvedPath, { force: true })
+    }
+  }
+}
+
+module.exports = {
+  createCheckpoint
+}
@@ -0,0 +1,49 @@
+const path = require('path')
+const { ensureUniqueName } = require('../utils/sanitize')
+const { defaultFileSystem } = require('../utils/fileSystem')
+
+async function ensureDirectory (dirPath, fileSystem) {
+  const firstCreated = await fileSystem.mkdir(dirPath, { recursive: true })
+  if (!firstCreated) return []
+
+  const created = []
+  let current = dirPath
+  while (current.length >= firstCreated.length) {
+    created.push(current)
+    if (current === firstCreated) break
+    current = path.dirname(current)
+  }
+  return created
+}
+
+async function commitRename ({ filePath, destinationDirectory, fileName, reservations = null, fileSystem = defaultFileSystem }) {
+  const createdDirectories = await ensureDirectory(destinationDirectory, fileSystem)
+  const finalName = reservations
+    ? reservations.reserve(destinationDirectory, fileName)
+    : ensureUniqueName(destinationDirectory, fileName, fileSystem.existsSync)
+  const destinationPath = path.join(destinationDirectory, finalName)
+
+  let sourceStats
+  try {
+    sourceStats = await fileSystem.stat(filePath)
+    await fileSystem.rename(filePath, destinationPath)
+  } finally {
+    if (reservations) {
+      reservations.release(destinationDirectory, finalName)
+    }
+  }
+
+  return {
+    finalName,
+    destinationPath,
+    createdDirectories,
+    fingerprint: {
+      size: sourceStats.size,
+      mtimeMs: sourceStats.mtimeMs
+    }
+  }
+}
+
+module.exports = {
+  commitRename
+}
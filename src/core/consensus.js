@@ -0,0 +1,43 @@
+const { normalizeSubject } = require('./subjectManager')
+
+// Combines several normalised model results for the same file. The subject is
+// chosen by majority vote and its confidence is the share of samples that agree
+// with it; the model's own subject_confidence is ignored. When agreement falls
+// below `threshold` the subject is dropped so the file is treated as unknown.
+function pickConsensus (results, { threshold = 0.6 } = {}) {
+  const votes = new Map()
+  results.forEach((result, index) => {
+    const subject = normalizeSubject(result.subject)
+    const key = subject.toLowerCase()
+    const vote = votes.get(key) || { subject: subject || null, count: 0, first: index }
+    vote.count += 1
+    votes.set(key, vote)
+  })
+
+  const ranked = Array.from(votes.values()).sort((a, b) => b.count - a.count || a.first - b.first)
+  const winner = ranked[0]
+  const agreement = winner.count / results.length
+  const agreed = agreement >= threshold
+  const representative = results[winner.first]
+
+  return {
+    ...representative,
+    subject: agreed ? winner.subject : null,
+    subjectConfidence: agreed && winner.subject ? agreement : 0,
+    consensus: {
+      samples: results.length,
+      agreement,
+      agreed,
+      votes: ranked.map(vote => ({ subject: vote.subject, count: vote.count }))
+    }
+  }
+}
+
+function describeVotes (consensus) {
+  return consensus.votes.map(vote => `${vote.subject || '(none)'} ${vote.count}`).join(', ')
+}
+
+module.exports = {
+  pickConsensus,
+  describeVotes
+}
@@ -0,0 +1,139 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { hashFile } = require('../utils/fileHash')
+const { applyFilters } = require('./applyFilters')
+
+const DUPLICATE_ACTIONS = ['keep', 'skip', 'delete', 'move-to']
+
+function parseDuplicatePolicy (value) {
+  const raw = typeof value === 'string' ? value.trim() : ''
+  if (!raw || raw === 'keep') return { action: 'keep', directory: null }
+  if (raw === 'skip' || raw === 'delete') return { action: raw, directory: null }
+
+  const moveMatch = raw.match(/^move-to[=:](.+)$/)
+  if (moveMatch && moveMatch[1].trim()) {
+    return { action: 'move-to', directory: path.resolve(moveMatch[1].trim()) }
+  }
+
+  throw new Error(`Invalid --duplicates policy "${raw}" (expected ${DUPLICATE_ACTIONS.join(', ').replace('move-to', 'move-to=<dir>')})`)
+}
+
+async function listFiles (directory) {
+  try {
+    const entries = await fs.readdir(directory, { withFileTypes: true })
+    return entries.filter(entry => entry.isFile()).map(entry => path.join(directory, entry.name))
+  } catch (error) {
+    return []
+  }
+}
+
+async function listSubdirectories (directory) {
+  try {
+    const entries = await fs.readdir(directory, { withFileTypes: true })
+    return entries.filter(entry => entry.isDirectory()).map(entry => path.join(directory, entry.name))
+  } catch (error) {
+    return []
+  }
+}
+
+// Hashes lazily: a file is only read when it is processed, and other files only
+// when their size matches it. Files the filters will skip are left out entirely.
+// A disabled detector (policy "keep" with no cache or checkpoint needing the hash)
+// reads nothing and finds no duplicates.
+async function createDuplicateDetector ({ files, options = {}, subjectDirectory = null, enabled = true, logger }) {
+  const hashes = new Map()
+  const sizes = new Map()
+
+  const hashOf = (filePath) => {
+    if (!hashes.has(filePath)) {
+      const pending = hashFile(filePath)
+      pending.catch(() => hashes.delete(filePath))
+      hashes.set(filePath, pending)
+    }
+    return hashes.get(filePath)
+  }
+
+  const sameSize = async (candidate, size) => {
+    try {
+      const stats = await fs.stat(candidate)
+      return stats.size === size
+    } catch (error) {
+      return false
+    }
+  }
+
+  // Other files are compared by hash only when their size matches; an unreadable
+  // file counts as different.
+  const matches = async (candidate, hash) => {
+    try {
+      return await hashOf(candidate) === hash
+    } catch (error) {
+      logger.debug(`Unable to hash ${candidate}: ${error.message}`)
+      return false
+    }
+  }
+
+  if (enabled) {
+    for (const filePath of files) {
+      try {
+        const filterResult = await applyFilters(filePath, options)
+        if (filterResult.skipped) continue
+        sizes.set(filePath, (await fs.stat(filePath)).size)
+      } catch (error) {
+        logger.debug(`Unable to read ${filePath}: ${error.message}`)
+      }
+    }
+  }
+
+  // Existing files in the destination folders, listed once on first use (before
+  // anything has been renamed into them).
+  let existingFiles = null
+  const listExisting = () => {
+    if (!existingFiles) existingFiles = scanExisting()
+    return existingFiles
+  }
+  const scanExisting = async () => {
+    const searchDirectories = new Set(files.map(filePath => path.dirname(filePath)))
+    if (subjectDirectory) {
+      searchDirectories.add(subjectDirectory)
+      for (const directory of await listSubdirectories(subjectDirectory)) {
+        searchDirectories.add(directory)
+      }
+    }
+    const batch = new Set(files)
+    const existing = []
+    for (const directory of searchDirectories) {
+      existing.push(...(await listFiles(directory)).filter(candidate => !batch.has(candidate)))
+    }
+    return existing
+  }
+
+  return {
+    // Content hash of a file being processed, or null when nothing needs it.
+    async hash (filePath) {
+      return enabled ? hashOf(filePath) : null
+    },
+    async check (filePath, index) {
+      if (!enabled || !sizes.has(filePath)) return null
+      const size = sizes.get(filePath)
+      const hash = await hashOf(filePath)
+
+      for (const candidate of await listExisting()) {
+        if (await sameSize(candidate, size) && await matches(candidate, hash)) {
+          return { duplicateOf: candidate, kind: 'existing', hash }
+        }
+      }
+      for (const earlierPath of files.slice(0, index)) {
+        if (sizes.get(earlierPath) === size && await matches(earlierPath, hash)) {
+          return { duplicateOf: earlierPath, kind: 'batch', hash }
+        }
+      }
+      return null
+    }
+  }
+}
+
+module.exports = {
+  createDuplicateDetector,
+  parseDuplicatePolicy
+}
@@ -27,7 +27,7 @@ async function loadInstructionFile (filePath, logger) {
   }
 }
 
-function buildSystemMessage ({ caseStyle, language, subjectStopwords, extraSystem }) {
+function buildSystemMessage ({ language, subjectStopwords, extraSystem }) {
   const lines = []
   lines.push('You are an analyst tasked with renaming downloaded diligence artifacts.')
   lines.push('Analyse the supplied context and return ONLY valid JSON matching this schema:')
@@ -40,7 +40,7 @@ function buildSystemMessage ({ caseStyle, language, subjectStopwords, extraSyste
   lines.push('  "summary": string')
   lines.push('}')
   lines.push('Do not emit commentary outside the JSON object.')
-  lines.push(`Filenames must be concise, descriptive, and prefer ${caseStyle}.`)
+  lines.push('Filenames must be concise and descriptive; the requested case style is applied afterwards, so plain words are fine.')
   lines.push(`Respond in ${language}.`)
   lines.push('Subject naming rules:')
   DEFAULT_SUBJECT_RULES.forEach(rule => lines.push(`- ${rule}`))
@@ -57,6 +57,38 @@ function buildSystemMessage ({ caseStyle, language, subjectStopwords, extraSyste
   return lines.join('\n')
 }
 
+function buildResponseSchema ({ appendDate }) {
+  const nullableString = { type: ['string', 'null'] }
+  const properties = {
+    filename: { type: 'string', description: 'Concise, descriptive filename without extension' },
+    subject: { ...nullableString, description: 'Company, project, or person the file belongs to' },
+    subject_confidence: { type: 'number', minimum: 0, maximum: 1 },
+    subject_brief: nullableString,
+    document_description: nullableString,
+    summary: { type: 'string' }
+  }
+
+  if (appendDate) {
+    properties.applied_date = {
+      type: 'object',
+      properties: {
+        value: nullableString,
+        source: nullableString,
+        rationale: nullableString
+      },
+      required: ['value', 'source', 'rationale'],
+      additionalProperties: false
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  }
+}
+
 function parseStopwords (value) {
   if (!value) return []
   return value
@@ -66,14 +98,12 @@ function parseStopwords (value) {
 }
 
 async function createInstructionSet (options, logger) {
-  const caseStyle = options.case || 'kebabCase'
   const language = options.language || 'English'
   const customStopwords = parseStopwords(options.subjectStopwords)
   const externalSystem = await loadInstructionFile(options.instructionsFile, logger)
   const subjectStopwords = uniqueList([...DEFAULT_STOPWORDS, ...customStopwords])
 
   const systemMessage = buildSystemMessage({
-    caseStyle,
     language,
     subjectStopwords,
     extraSystem: externalSystem
@@ -87,6 +117,7 @@ async function createInstructionSet (options, logger) {
   return {
     systemMessage,
     subjectStopwords,
+    responseSchema: buildResponseSchema({ appendDate: Boolean(options.appendDate) }),
     sanitizeSubject
   }
 }
@@ -0,0 +1,24 @@
+const fssync = require('fs')
+const path = require('path')
+const { ensureUniqueName } = require('../utils/sanitize')
+
+function createNameReservations ({ existsSync = fssync.existsSync } = {}) {
+  const reserved = new Set()
+
+  const isTaken = (candidatePath) => reserved.has(candidatePath) || existsSync(candidatePath)
+
+  return {
+    reserve (directory, fileName) {
+      const finalName = ensureUniqueName(directory, fileName, isTaken)
+      reserved.add(path.join(directory, finalName))
+      return finalName
+    },
+    release (directory, fileName) {
+      reserved.delete(path.join(directory, fileName))
+    }
+  }
+}
+
+module.exports = {
+  createNameReservations
+}
@@ -0,0 +1,58 @@
+const SUMMARY_METHODS = ['addRename', 'addMove', 'addSkip', 'addError', 'addDuplicate', 'addReview']
+
+function bufferMethods (target, methods, queue) {
+  if (!target) return null
+  const proxy = {}
+  methods.forEach(method => {
+    proxy[method] = (...args) => {
+      queue.push(() => target[method](...args))
+    }
+  })
+  return proxy
+}
+
+// Files finish out of order when processed concurrently, so summary, log and plan
+// records are buffered per file and released strictly in discovery order.
+function createOrderedSink ({ summary, operationLog, renamePlan }) {
+  const slots = new Map()
+  let nextIndex = 0
+
+  function flush () {
+    while (slots.has(nextIndex) && slots.get(nextIndex).done) {
+      slots.get(nextIndex).queue.forEach(apply => apply())
+      slots.delete(nextIndex)
+      nextIndex += 1
+    }
+  }
+
+  function open (index) {
+    const slot = { queue: [], done: false }
+    slots.set(index, slot)
+    return {
+      summary: bufferMethods(summary, SUMMARY_METHODS, slot.queue),
+      operationLog: bufferMethods(operationLog, ['write'], slot.queue),
+      renamePlan: bufferMethods(renamePlan, ['add'], slot.queue),
+      close () {
+        slot.done = true
+        flush()
+      }
+    }
+  }
+
+  function drain () {
+    const indexes = Array.from(slots.keys()).sort((a, b) => a - b)
+    indexes.forEach(index => {
+      slots.get(index).queue.forEach(apply => apply())
+      slots.delete(index)
+    })
+  }
+
+  return {
+    open,
+    drain
+  }
+}
+
+module.exports = {
+  createOrderedSink
+}
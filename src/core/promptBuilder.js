@@ -43,7 +43,7 @@ function buildDefaultSystemMessage (options) {
   const instructions = [
     'You are an analyst tasked with renaming downloaded diligence artifacts. Read the provided context and return a JSON object with the following shape:\n{\n  "filename": string,\n  "subject": string | null,\n  "subject_confidence": number (0-1),\n  "subject_brief": string | null,\n  "document_description": string | null,\n  "summary": string\n}.',
     '- The filename MUST be concise, descriptive, and avoid filesystem-invalid characters.',
-    `- Prefer ${options.case || 'kebabCase'} case.`,
+    '- Casing is applied after the response, so plain words are fine.',
     `- Honour the requested language: ${options.language || 'English'}.`,
     '- Subjects represent the company, project, or person tied to the file. Treat the subject as a proper noun and use null if you are unsure.',
     '- subject_confidence should reflect how certain you are about the subject.',
@@ -212,7 +212,8 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
     systemMessage,
     userMessage,
     images: content.image ? [content.image] : [],
-    frames: content.frames || []
+    frames: content.frames || [],
+    responseSchema: instructionSet?.responseSchema || null
   }
 }
 
@@ -0,0 +1,47 @@
+const fs = require('fs/promises')
+const path = require('path')
+
+const PLAN_VERSION = 1
+
+function createRenamePlan ({ planPath, rootDirectory }) {
+  const entries = []
+
+  return {
+    path: planPath,
+    entries,
+    add (entry) {
+      entries.push(entry)
+    },
+    async save () {
+      const payload = {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        rootDirectory,
+        entries
+      }
+      await fs.mkdir(path.dirname(planPath), { recursive: true })
+      await fs.writeFile(planPath, JSON.stringify(payload, null, 2), 'utf8')
+    }
+  }
+}
+
+async function readRenamePlan (planPath) {
+  const raw = await fs.readFile(planPath, 'utf8')
+  let plan
+  try {
+    plan = JSON.parse(raw)
+  } catch (error) {
+    throw new Error(`Unable to parse rename plan ${planPath}: ${error.message}`)
+  }
+
+  if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.entries)) {
+    throw new Error(`Unsupported rename plan format in ${planPath}`)
+  }
+
+  return plan
+}
+
+module.exports = {
+  createRenamePlan,
+  readRenamePlan
+}
@@ -0,0 +1,150 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+
+const DEFAULT_CACHE_DIRECTORY = path.join(os.homedir(), '.ai-renamer', 'cache')
+
+function hashValue (value) {
+  const input = typeof value === 'string' ? value : JSON.stringify(value)
+  return crypto.createHash('sha256').update(input).digest('hex')
+}
+
+// Extra samples of the same prompt are cached separately; the first sample keeps
+// the key it had before sampling existed.
+function buildCacheKey ({ contentHash, provider, model, prompt, sample = 0 }) {
+  return hashValue({
+    contentHash,
+    provider: provider || '',
+    model: model || '',
+    promptHash: hashValue(prompt),
+    ...(sample ? { sample } : {})
+  })
+}
+
+// Only names the cache itself writes count as entries, so a --cache-dir shared with
+// other files never has those listed or removed.
+const SHARD_PATTERN = /^[0-9a-f]{2}$/
+const ENTRY_PATTERN = /^[0-9a-f]{64}\.json$/
+
+async function listEntryFiles (directory) {
+  const files = []
+  let shards
+  try {
+    shards = await fs.readdir(directory, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT') return files
+    throw error
+  }
+
+  for (const shard of shards) {
+    if (!shard.isDirectory() || !SHARD_PATTERN.test(shard.name)) continue
+    const shardPath = path.join(directory, shard.name)
+    const entries = await fs.readdir(shardPath)
+    entries
+      .filter(name => ENTRY_PATTERN.test(name) && name.startsWith(shard.name))
+      .forEach(name => files.push(path.join(shardPath, name)))
+  }
+  return files
+}
+
+function createResponseCache ({ directory, logger } = {}) {
+  const cacheDirectory = path.resolve(directory || DEFAULT_CACHE_DIRECTORY)
+  let hits = 0
+  let misses = 0
+
+  const entryPath = (key) => path.join(cacheDirectory, key.slice(0, 2), `${key}.json`)
+
+  async function get (key) {
+    try {
+      const raw = await fs.readFile(entryPath(key), 'utf8')
+      const entry = JSON.parse(raw)
+      hits += 1
+      return entry.response
+    } catch (error) {
+      if (error.code !== 'ENOENT' && logger) {
+        logger.debug(`Ignoring unreadable cache entry ${key}: ${error.message}`)
+      }
+      misses += 1
+      return null
+    }
+  }
+
+  async function set (key, response, { provider, model } = {}) {
+    try {
+      const target = entryPath(key)
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      const entry = {
+        key,
+        createdAt: new Date().toISOString(),
+        provider: provider || null,
+        model: model || null,
+        response
+      }
+      await fs.writeFile(target, JSON.stringify(entry), 'utf8')
+    } catch (error) {
+      if (logger) {
+        logger.warn(`Unable to write cache entry ${key}: ${error.message}`)
+      }
+    }
+  }
+
+  async function clear () {
+    const files = await listEntryFiles(cacheDirectory)
+    let removed = 0
+    for (const file of files) {
+      try {
+        await fs.unlink(file)
+        removed += 1
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+    // Shards are removed only once empty; the cache directory itself is left in place.
+    for (const shardPath of new Set(files.map(file => path.dirname(file)))) {
+      try {
+        await fs.rmdir(shardPath)
+      } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'ENOENT' && error.code !== 'EEXIST') throw error
+      }
+    }
+    return { directory: cacheDirectory, removed }
+  }
+
+  async function stats () {
+    const files = await listEntryFiles(cacheDirectory)
+    let totalBytes = 0
+    let oldest = null
+    let newest = null
+    for (const file of files) {
+      const fileStats = await fs.stat(file)
+      totalBytes += fileStats.size
+      if (!oldest || fileStats.mtime < oldest) oldest = fileStats.mtime
+      if (!newest || fileStats.mtime > newest) newest = fileStats.mtime
+    }
+    return {
+      directory: cacheDirectory,
+      entries: files.length,
+      totalBytes,
+      oldest: oldest ? oldest.toISOString() : null,
+      newest: newest ? newest.toISOString() : null
+    }
+  }
+
+  return {
+    directory: cacheDirectory,
+    get,
+    set,
+    clear,
+    stats,
+    getCounters () {
+      return { hits, misses }
+    }
+  }
+}
+
+module.exports = {
+  createResponseCache,
+  buildCacheKey,
+  DEFAULT_CACHE_DIRECTORY
+}
@@ -1,20 +1,50 @@
 const fs = require('fs/promises')
-const fssync = require('fs')
 const path = require('path')
 const { discoverFiles } = require('./discoverFiles')
 const { applyFilters } = require('./applyFilters')
 const { extractContent } = require('../extractors/contentExtractor')
 const { buildPrompt } = require('./promptBuilder')
-const { createProviderClient } = require('../providers/createProviderClient')
+const { createProviderRoutes } = require('../providers/providerRoutes')
 const { applyCase } = require('../utils/caseFormat')
-const { sanitizeFilename, truncateFilename, ensureUniqueName } = require('../utils/sanitize')
-const { getExtension } = require('../utils/fileType')
+const { sanitizeFilename, truncateFilename } = require('../utils/sanitize')
+const { getExtension, getFileCategory } = require('../utils/fileType')
 const { createSubjectManager } = require('./subjectManager')
 const { createSummary } = require('./summary')
-const { parseModelResponse } = require('../utils/parseModelResponse')
+const { parseModelResponse, partialFilename, invalidResponseError, INVALID_MODEL_RESPONSE } = require('../utils/parseModelResponse')
+const { validateModelResponse, buildRepairMessage } = require('../utils/validateModelResponse')
 const { createInstructionSet } = require('./instructionSet')
 const { getDateCandidates, buildDateFormatRegex } = require('../utils/fileDates')
-const { createOperationLog } = require('../utils/operationLog')
+const { createOperationLog, createNoopLogger } = require('../utils/operationLog')
+const { commitRename } = require('./commitRename')
+const { createRenamePlan } = require('./renamePlan')
+const { createNameReservations } = require('./nameReservations')
+const { createOrderedSink } = require('./orderedSink')
+const { runWorkerPool } = require('../utils/workerPool')
+const { createCheckpoint } = require('./checkpoint')
+const { createResponseCache, buildCacheKey } = require('./responseCache')
+const { createDuplicateDetector, parseDuplicatePolicy } = require('./duplicateDetector')
+const { resolveFileSystem } = require('../utils/fileSystem')
+const { verifyModel } = require('../providers/modelCheck')
+const { pickConsensus, describeVotes } = require('./consensus')
+const { createUsageTracker } = require('./usageTracker')
+
+const CHECKPOINT_FILE_NAME = '.ai-renamer-checkpoint.jsonl'
+const DEFAULT_REPAIR_ATTEMPTS = 2
+const DEFAULT_CONSENSUS_THRESHOLD = 0.6
+
+function parseSampling (options) {
+  const count = options.samples === undefined || options.samples === null ? 1 : Number(options.samples)
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid --samples value "${options.samples}" (expected a whole number of at least 1)`)
+  }
+  const threshold = options.consensusThreshold === undefined || options.consensusThreshold === null
+    ? DEFAULT_CONSENSUS_THRESHOLD
+    : Number(options.consensusThreshold)
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid --consensus-threshold value "${options.consensusThreshold}" (expected a number between 0 and 1)`)
+  }
+  return { count, threshold }
+}
 
 function formatTemplateSegment (template, value, caseStyle) {
   if (!template || typeof template !== 'string') return ''
@@ -34,7 +64,7 @@ function formatTemplateSegment (template, value, caseStyle) {
 
 function normaliseModelResult (rawResult) {
   if (!rawResult || typeof rawResult !== 'object') {
-    throw new Error('Model response missing expected JSON object')
+    throw invalidResponseError('Model response missing expected JSON object')
   }
 
   if (rawResult.data && typeof rawResult.data === 'string') {
@@ -50,7 +80,7 @@ function normaliseModelResult (rawResult) {
   const appliedDateRaw = rawResult.applied_date ?? rawResult.appliedDate ?? null
 
   if (!filename) {
-    throw new Error('Model response missing "filename" field')
+    throw invalidResponseError('Model response missing "filename" field')
   }
 
   let appliedDate = { value: null, source: null, rationale: null }
@@ -79,37 +109,144 @@ function normaliseModelResult (rawResult) {
   }
 }
 
-async function runRenamer (targetPath, options, logger) {
-  const stats = await fs.stat(targetPath)
-  const rootDirectory = stats.isDirectory() ? targetPath : path.dirname(targetPath)
-  const files = await discoverFiles(targetPath, options.includeSubdirectories)
-  if (!files.length) {
-    logger.warn('No files found to process.')
-    return
+async function buildRenameProposal ({ filePath, result, options, instructionSet, subjectManager, nameOverride = null }) {
+  const { filename, subject, subjectConfidence, subjectBrief, documentDescription } = result
+  const cleanedSubject = instructionSet?.sanitizeSubject ? instructionSet.sanitizeSubject(subject) : subject
+  const effectiveSubject = cleanedSubject || null
+  const effectiveConfidence = effectiveSubject ? subjectConfidence : 0
+
+  const extension = getExtension(filePath).replace('.', '')
+  const caseStyle = options.case || 'kebabCase'
+  const baseWithoutExt = filename.replace(/\.[^./]+$/, '')
+  const formattedBase = baseWithoutExt ? applyCase(baseWithoutExt, caseStyle) : ''
+
+  const subjectTemplateValue = effectiveSubject || null
+  const formattedSubjectSegment = formatTemplateSegment(options.subjectFormat, subjectTemplateValue, caseStyle)
+  const formattedSubjectBriefSegment = formatTemplateSegment(options.subjectBriefFormat, subjectBrief, caseStyle)
+  const formattedDocumentDescriptionSegment = formatTemplateSegment(options.documentDescriptionFormat, documentDescription, caseStyle)
+
+  const separator = typeof options.segmentSeparator === 'string' ? options.segmentSeparator : '-'
+  const segments = [
+    formattedSubjectSegment,
+    formattedSubjectBriefSegment,
+    formattedDocumentDescriptionSegment,
+    formattedBase
+  ].filter(segment => segment && segment.length)
+
+  let combinedBase = segments.join(separator)
+  if (!combinedBase) {
+    combinedBase = formattedBase || baseWithoutExt || filename
   }
 
-  const provider = createProviderClient(options, logger)
-  const instructionSet = await createInstructionSet(options, logger)
+  if (nameOverride) {
+    const overrideExtension = `.${extension}`
+    combinedBase = extension && nameOverride.toLowerCase().endsWith(overrideExtension)
+      ? nameOverride.slice(0, -overrideExtension.length)
+      : nameOverride
+  }
 
-  const operationLog = await createOperationLog({
-    rootDirectory,
-    explicitPath: options.logFile,
-    logger
-  })
-  const datePattern = buildDateFormatRegex(options.dateFormat || 'YYYY-MM-DD')
+  const truncatedCombined = options.chars ? truncateFilename(combinedBase, options.chars) : combinedBase
+  const sanitizedName = sanitizeFilename(truncatedCombined, extension)
 
-  let subjectManager = null
-  if (options.organizeBySubject) {
-    const subjectBase = path.resolve(options.subjectDestination || rootDirectory)
-    subjectManager = await createSubjectManager({
-      baseDirectory: subjectBase,
-      moveUnknownSubjects: Boolean(options.moveUnknownSubjects)
-    }, logger)
+  let destinationDirectory = path.dirname(filePath)
+  let resolvedSubject = effectiveSubject
+
+  if (subjectManager) {
+    const subjectResolution = await subjectManager.resolveDestination({
+      subject: effectiveSubject,
+      confidence: effectiveConfidence
+    })
+    if (subjectResolution) {
+      destinationDirectory = subjectResolution.directory
+      resolvedSubject = subjectResolution.subject
+    }
   }
 
-  const summary = createSummary()
+  return {
+    result,
+    nameOverride,
+    sanitizedName,
+    destinationDirectory,
+    resolvedSubject,
+    effectiveConfidence
+  }
+}
+
+function describeProposal (filePath, proposal, options) {
+  return {
+    file: filePath,
+    fileName: proposal.sanitizedName,
+    destinationDirectory: proposal.destinationDirectory,
+    subject: proposal.resolvedSubject,
+    confidence: proposal.effectiveConfidence,
+    summary: proposal.result.summary,
+    dryRun: Boolean(options.dryRun)
+  }
+}
 
-  for (const filePath of files) {
+async function applyProposalHook ({ hook, filePath, proposal, options, instructionSet, subjectManager }) {
+  const decision = await hook(describeProposal(filePath, proposal, options))
+  if (decision === false || (decision && decision.skip)) {
+    return { vetoed: true, reason: (decision && decision.reason) || 'Vetoed by beforeRename hook' }
+  }
+  if (!decision || typeof decision !== 'object') {
+    return { proposal }
+  }
+
+  let updated = proposal
+  if (decision.fileName || decision.subject !== undefined) {
+    const result = decision.subject !== undefined
+      ? { ...proposal.result, subject: decision.subject || null, subjectConfidence: decision.subject ? 1 : 0 }
+      : proposal.result
+    updated = await buildRenameProposal({
+      filePath,
+      result,
+      options,
+      instructionSet,
+      subjectManager,
+      nameOverride: decision.fileName || proposal.nameOverride
+    })
+  }
+  if (decision.destinationDirectory) {
+    updated = { ...updated, destinationDirectory: path.resolve(decision.destinationDirectory) }
+  }
+  return { proposal: updated }
+}
+
+function createFileProcessor (context) {
+  const {
+    options,
+    logger,
+    instructionSet,
+    subjectManager,
+    datePattern,
+    duplicatePolicy,
+    responseCache,
+    nameReservations,
+    providers,
+    repairAttempts,
+    sampling,
+    usageTracker,
+    fileSystem,
+    hooks = {},
+    emit = () => {},
+    signal = null,
+    reviewer = null,
+    checkpoint = null
+  } = context
+
+  // Deterministic clients (temperature 0, the heuristic) would answer every sample
+  // identically, so they get one request per file and a single warning.
+  const deterministicWarnings = new Set()
+  const warnDeterministic = (key) => {
+    if (deterministicWarnings.has(key)) return
+    deterministicWarnings.add(key)
+    logger.warn(`${key} answers deterministically; requesting 1 sample per file instead of ${sampling.count}`)
+  }
+
+  return async function processFile (filePath, index, { summary, operationLog, renamePlan, duplicateDetector }) {
+    emit('file:start', { file: filePath, index })
+    const fileUsage = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
     try {
       const filterResult = await applyFilters(filePath, options)
       if (filterResult.skipped) {
@@ -121,67 +258,324 @@ async function runRenamer (targetPath, options, logger) {
           file: filePath,
           reason: filterResult.reason
         })
-        continue
+        emit('file:skipped', { file: filePath, reason: filterResult.reason })
+        return
+      }
+
+      const chain = providers.forFile(filePath)
+      if (!chain) {
+        const reason = `${getFileCategory(filePath)} files are routed to skip`
+        logger.info(`Skipping ${filePath}: ${reason}`)
+        summary.addSkip({ file: filePath, reason })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'skip',
+          file: filePath,
+          reason
+        })
+        emit('file:skipped', { file: filePath, reason })
+        return
+      }
+
+      const contentHash = await duplicateDetector.hash(filePath)
+      if (checkpoint && checkpoint.isComplete(filePath, contentHash)) {
+        const reason = 'Already processed in a previous run'
+        logger.info(`Skipping ${filePath}: ${reason}`)
+        summary.addSkip({ file: filePath, reason })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'skip',
+          file: filePath,
+          reason
+        })
+        emit('file:skipped', { file: filePath, reason })
+        return
+      }
+
+      const duplicate = await duplicateDetector.check(filePath, index)
+      if (duplicate) {
+        const description = `${path.basename(filePath)} is identical to ${duplicate.duplicateOf}`
+        const record = { file: filePath, duplicateOf: duplicate.duplicateOf, kind: duplicate.kind, action: duplicatePolicy.action }
+
+        if (duplicatePolicy.action === 'keep') {
+          logger.info(`${description}; processing it anyway`)
+          summary.addDuplicate(record)
+        } else if (duplicatePolicy.action === 'skip') {
+          logger.info(`Skipping ${filePath}: duplicate of ${duplicate.duplicateOf}`)
+          summary.addDuplicate(record)
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'skip',
+            file: filePath,
+            reason: 'duplicate',
+            duplicateOf: duplicate.duplicateOf
+          })
+          emit('file:skipped', { file: filePath, reason: 'duplicate', duplicateOf: duplicate.duplicateOf })
+          return
+        } else if (duplicatePolicy.action === 'delete') {
+          if (options.dryRun) {
+            logger.info(`[dry-run] would delete ${filePath} (${description})`)
+          } else {
+            await fileSystem.rm(filePath)
+            logger.info(`Deleted ${filePath} (${description})`)
+          }
+          summary.addDuplicate(record)
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: options.dryRun ? 'dry-run' : 'delete',
+            file: filePath,
+            reason: 'duplicate',
+            duplicateOf: duplicate.duplicateOf,
+            hash: contentHash
+          })
+          emit('file:skipped', { file: filePath, reason: 'duplicate', duplicateOf: duplicate.duplicateOf, action: 'delete' })
+          return
+        } else {
+          let destinationPath = path.join(duplicatePolicy.directory, path.basename(filePath))
+          let createdDirectories = []
+          let fingerprint = null
+          if (options.dryRun) {
+            destinationPath = path.join(duplicatePolicy.directory, nameReservations.reserve(duplicatePolicy.directory, path.basename(filePath)))
+            logger.info(`[dry-run] would move ${filePath} to ${destinationPath} (${description})`)
+          } else {
+            ({ destinationPath, createdDirectories, fingerprint } = await commitRename({
+              filePath,
+              destinationDirectory: duplicatePolicy.directory,
+              fileName: path.basename(filePath),
+              reservations: nameReservations,
+              fileSystem
+            }))
+            emit('file:renamed', { file: filePath, newPath: destinationPath, reason: 'duplicate', duplicateOf: duplicate.duplicateOf })
+            logger.info(`Moved ${filePath} to ${destinationPath} (${description})`)
+          }
+          summary.addDuplicate({ ...record, destination: destinationPath })
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: options.dryRun ? 'dry-run' : 'rename',
+            originalPath: filePath,
+            [options.dryRun ? 'proposedPath' : 'newPath']: destinationPath,
+            reason: 'duplicate',
+            duplicateOf: duplicate.duplicateOf,
+            moved: true,
+            createdDirectories,
+            fingerprint
+          })
+          return
+        }
       }
 
       logger.info(`Processing ${filePath}`)
       const content = await extractContent(filePath, options, logger)
       const dateCandidates = options.appendDate ? getDateCandidates(content, { dateFormat: options.dateFormat }) : []
-      const subjectHints = subjectManager ? subjectManager.getHints() : []
-      const prompt = buildPrompt({ content, options, subjectHints, instructionSet, dateCandidates })
-      const modelResponse = await provider.generateFilename(prompt)
-      const { filename, subject, summary: fileSummary, subjectConfidence, appliedDate, subjectBrief, documentDescription } = normaliseModelResult(modelResponse)
-
-      const cleanedSubject = instructionSet?.sanitizeSubject ? instructionSet.sanitizeSubject(subject) : subject
-      const effectiveSubject = cleanedSubject || null
-      const effectiveConfidence = effectiveSubject ? subjectConfidence : 0
-
-      const extension = getExtension(filePath).replace('.', '')
-      const caseStyle = options.case || 'kebabCase'
-      const baseWithoutExt = filename.replace(/\.[^./]+$/, '')
-      const formattedBase = baseWithoutExt ? applyCase(baseWithoutExt, caseStyle) : ''
-
-      const subjectTemplateValue = effectiveSubject || null
-      const formattedSubjectSegment = formatTemplateSegment(options.subjectFormat, subjectTemplateValue, caseStyle)
-      const formattedSubjectBriefSegment = formatTemplateSegment(options.subjectBriefFormat, subjectBrief, caseStyle)
-      const formattedDocumentDescriptionSegment = formatTemplateSegment(options.documentDescriptionFormat, documentDescription, caseStyle)
-
-      const separator = typeof options.segmentSeparator === 'string' ? options.segmentSeparator : '-'
-      const segments = [
-        formattedSubjectSegment,
-        formattedSubjectBriefSegment,
-        formattedDocumentDescriptionSegment,
-        formattedBase
-      ].filter(segment => segment && segment.length)
-
-      let combinedBase = segments.join(separator)
-      if (!combinedBase) {
-        combinedBase = formattedBase || baseWithoutExt || filename
+      let fromCache = false
+      let answeredBy = null
+      const validationOptions = { appendDate: Boolean(options.appendDate), dateFormat: options.dateFormat || 'YYYY-MM-DD', datePattern }
+
+      // Asks the model again with the validation errors until it produces a usable
+      // object or the repair budget runs out.
+      const requestValidResponse = async ({ client, prompt, providerName, model, sample }) => {
+        let conversation = []
+        for (let repair = 0; ; repair += 1) {
+          let response
+          let errors
+          try {
+            response = await client.generateFilename(conversation.length ? { ...prompt, conversation } : prompt, {
+              signal,
+              content,
+              dateCandidates,
+              sample,
+              onProgress: (text) => emit('file:progress', { file: filePath, text, filename: partialFilename(text) }),
+              onAttempt: (attempt) => operationLog.write({
+                timestamp: new Date().toISOString(),
+                operation: 'provider-attempt',
+                file: filePath,
+                provider: providerName,
+                model,
+                ...attempt
+              }),
+              onUsage: ({ inputTokens, outputTokens }) => {
+                const cost = usageTracker.record({ provider: providerName, model, inputTokens, outputTokens })
+                fileUsage.requests += 1
+                fileUsage.inputTokens += inputTokens
+                fileUsage.outputTokens += outputTokens
+                fileUsage.cost = cost === null || fileUsage.cost === null ? null : fileUsage.cost + cost
+              }
+            })
+            errors = validateModelResponse(response, validationOptions)
+          } catch (error) {
+            if (error.code !== INVALID_MODEL_RESPONSE) {
+              error.isProviderError = true
+              throw error
+            }
+            response = error.rawResponse
+            errors = [error.message.split('\n')[0]]
+          }
+
+          if (!errors.length) return response
+          if (repair >= repairAttempts) {
+            throw invalidResponseError(`Model response failed validation: ${errors.join('; ')}`)
+          }
+
+          logger.warn(`Response for ${path.basename(filePath)} failed validation (${errors.join('; ')}); asking for a correction (${repair + 1}/${repairAttempts})`)
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'response-repair',
+            file: filePath,
+            provider: providerName,
+            model,
+            attempt: repair + 1,
+            errors
+          })
+          conversation = [
+            ...conversation,
+            { role: 'assistant', content: typeof response === 'string' ? response || '(empty response)' : JSON.stringify(response) },
+            { role: 'user', content: buildRepairMessage(errors) }
+          ]
+        }
       }
+      const generateProposal = async (guidance, { bypassCache = false } = {}) => {
+        const subjectHints = subjectManager ? subjectManager.getHints() : []
+        const promptOptions = guidance.length
+          ? { ...options, customPrompt: [options.customPrompt, ...guidance].filter(Boolean).join('\n') }
+          : options
+        const prompt = buildPrompt({ content, options: promptOptions, subjectHints, instructionSet, dateCandidates })
+
+        const result = await chain.run(async ({ provider: providerName, model, client }, position) => {
+          const samples = []
+          let allCached = true
+          const sampleCount = client.deterministic ? 1 : sampling.count
+          if (sampleCount < sampling.count) {
+            warnDeterministic(`${providerName}/${model}`)
+          }
+          for (let sample = 0; sample < sampleCount; sample += 1) {
+            const cacheKey = responseCache
+              ? buildCacheKey({ contentHash, provider: providerName, model, prompt, sample })
+              : null
+            let modelResponse = cacheKey && !bypassCache ? await responseCache.get(cacheKey) : null
+            if (modelResponse) {
+              // Corrupt or legacy entries (e.g. unparseable `data` text) count as misses.
+              let cacheErrors
+              try {
+                cacheErrors = validateModelResponse(modelResponse, validationOptions)
+              } catch (error) {
+                cacheErrors = [error.message.split('\n')[0]]
+              }
+              if (cacheErrors.length) {
+                logger.debug(`Ignoring cached response for ${path.basename(filePath)} that fails validation (${cacheErrors.join('; ')})`)
+                modelResponse = null
+              }
+            }
+            const cached = Boolean(modelResponse)
+            if (cached) {
+              logger.info(`Using cached model response for ${path.basename(filePath)}`)
+            } else {
+              modelResponse = await requestValidResponse({ client, prompt, providerName, model, sample })
+            }
+
+            samples.push(normaliseModelResult(modelResponse))
+            if (cacheKey && !cached) {
+              await responseCache.set(cacheKey, modelResponse, { provider: providerName, model })
+            }
+            allCached = allCached && cached
+          }
+          fromCache = allCached
+          answeredBy = { provider: providerName, model, fallback: position > 0 }
+          return samples.length > 1 ? pickConsensus(samples, { threshold: sampling.threshold }) : samples[0]
+        })
 
-      const truncatedCombined = options.chars ? truncateFilename(combinedBase, options.chars) : combinedBase
-      const sanitizedName = sanitizeFilename(truncatedCombined, extension)
+        if (result.consensus && !result.consensus.agreed) {
+          logger.warn(`Samples for ${path.basename(filePath)} disagree on the subject (${describeVotes(result.consensus)}); treating it as unknown`)
+        }
+        return buildRenameProposal({ filePath, result, options, instructionSet, subjectManager })
+      }
 
-      let destinationDirectory = path.dirname(filePath)
-      let resolvedSubject = effectiveSubject
+      const guidance = []
+      let proposal = await generateProposal(guidance)
+      emit('file:proposed', { ...describeProposal(filePath, proposal, options), cached: fromCache })
+
+      if (reviewer) {
+        let decision = await reviewer.review({ filePath, proposal })
+        while (decision.action !== 'accept' && decision.action !== 'skip' && decision.action !== 'quit') {
+          if (decision.action === 'regenerate') {
+            if (decision.guidance) {
+              guidance.push(decision.guidance)
+            }
+            logger.info(`Regenerating proposal for ${path.basename(filePath)}`)
+            proposal = await generateProposal(guidance, { bypassCache: true })
+            emit('file:proposed', { ...describeProposal(filePath, proposal, options), cached: false })
+          } else if (decision.action === 'edit-name') {
+            proposal = await buildRenameProposal({
+              filePath,
+              result: proposal.result,
+              options,
+              instructionSet,
+              subjectManager,
+              nameOverride: decision.value
+            })
+          } else if (decision.action === 'edit-subject') {
+            proposal = await buildRenameProposal({
+              filePath,
+              result: { ...proposal.result, subject: decision.value || null, subjectConfidence: decision.value ? 1 : 0 },
+              options,
+              instructionSet,
+              subjectManager,
+              nameOverride: proposal.nameOverride
+            })
+          }
+          decision = await reviewer.review({ filePath, proposal })
+        }
 
-      if (subjectManager) {
-        const subjectResolution = await subjectManager.resolveDestination({
-          subject: effectiveSubject,
-          confidence: effectiveConfidence
-        })
-        if (subjectResolution) {
-          destinationDirectory = subjectResolution.directory
-          resolvedSubject = subjectResolution.subject
+        if (decision.action !== 'accept') {
+          const reason = 'Skipped during interactive review'
+          logger.info(`Skipping ${filePath}: ${reason}`)
+          summary.addSkip({ file: filePath, reason })
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'skip',
+            file: filePath,
+            reason
+          })
+          // Quitting (including Ctrl-C) is not a decision, so --resume offers the file again.
+          if (checkpoint && decision.action === 'skip') {
+            checkpoint.record({ path: filePath, hash: contentHash, outcome: 'skipped' })
+          }
+          emit('file:skipped', { file: filePath, reason })
+          if (decision.action === 'quit') {
+            logger.info('Interactive review ended; remaining files were not processed.')
+            return { stop: true }
+          }
+          return
         }
       }
 
-      await fs.mkdir(destinationDirectory, { recursive: true })
+      if (typeof hooks.beforeRename === 'function') {
+        const outcome = await applyProposalHook({ hook: hooks.beforeRename, filePath, proposal, options, instructionSet, subjectManager })
+        if (outcome.vetoed) {
+          logger.info(`Skipping ${filePath}: ${outcome.reason}`)
+          summary.addSkip({ file: filePath, reason: outcome.reason })
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'skip',
+            file: filePath,
+            reason: outcome.reason
+          })
+          if (checkpoint) {
+            checkpoint.record({ path: filePath, hash: contentHash, outcome: 'skipped' })
+          }
+          emit('file:skipped', { file: filePath, reason: outcome.reason })
+          return
+        }
+        proposal = outcome.proposal
+      }
+
+      const { sanitizedName, destinationDirectory, resolvedSubject, effectiveConfidence } = proposal
+      const { summary: fileSummary, appliedDate, subjectBrief, documentDescription, consensus } = proposal.result
 
-      const finalName = ensureUniqueName(destinationDirectory, sanitizedName, fssync.existsSync)
-      const destinationPath = path.join(destinationDirectory, finalName)
+      if (consensus && !consensus.agreed) {
+        summary.addReview({ file: filePath, reason: `samples disagreed on the subject (${describeVotes(consensus)})`, votes: consensus.votes })
+      }
 
-      const baseWithoutExtension = finalName.replace(/\.[^./]+$/, '')
+      const baseWithoutExtension = sanitizedName.replace(/\.[^./]+$/, '')
       let appliedDateValue = appliedDate?.value ? appliedDate.value.trim() : ''
       let appliedDateSource = appliedDate?.source || null
       const appliedDateRationale = appliedDate?.rationale || null
@@ -209,6 +603,8 @@ async function runRenamer (targetPath, options, logger) {
       }
 
       if (options.dryRun) {
+        const finalName = nameReservations.reserve(destinationDirectory, sanitizedName)
+        const destinationPath = path.join(destinationDirectory, finalName)
         logger.info(`[dry-run] ${path.basename(filePath)} -> ${finalName}`)
         if (destinationDirectory !== path.dirname(filePath)) {
           logger.info(`[dry-run] would move to ${destinationDirectory}`)
@@ -220,7 +616,8 @@ async function runRenamer (targetPath, options, logger) {
           confidence: effectiveConfidence,
           notes: fileSummary,
           subjectBrief,
-          documentDescription
+          documentDescription,
+          ...answeredBy
         })
         operationLog.write({
           timestamp: new Date().toISOString(),
@@ -234,13 +631,47 @@ async function runRenamer (targetPath, options, logger) {
           documentDescription,
           date: appliedDateRecord,
           dateCandidates,
-          moved: destinationDirectory !== path.dirname(filePath)
+          consensus,
+          usage: fileUsage,
+          moved: destinationDirectory !== path.dirname(filePath),
+          cached: fromCache,
+          ...answeredBy
         })
-        continue
+        if (renamePlan) {
+          const sourceStats = await fileSystem.stat(filePath)
+          renamePlan.add({
+            originalPath: filePath,
+            proposedPath: destinationPath,
+            subject: resolvedSubject,
+            subjectConfidence: effectiveConfidence,
+            summary: fileSummary,
+            subjectBrief,
+            documentDescription,
+            date: appliedDateRecord,
+            fingerprint: {
+              size: sourceStats.size,
+              mtimeMs: sourceStats.mtimeMs
+            }
+          })
+        }
+        return
       }
 
-      await fs.rename(filePath, destinationPath)
+      const { destinationPath, createdDirectories, fingerprint } = await commitRename({
+        filePath,
+        destinationDirectory,
+        fileName: sanitizedName,
+        reservations: nameReservations,
+        fileSystem
+      })
       logger.info(`Renamed to ${destinationPath}`)
+      emit('file:renamed', {
+        file: filePath,
+        newPath: destinationPath,
+        subject: resolvedSubject,
+        confidence: effectiveConfidence,
+        moved: destinationDirectory !== path.dirname(filePath)
+      })
       summary.addRename({
         original: filePath,
         newName: destinationPath,
@@ -248,7 +679,8 @@ async function runRenamer (targetPath, options, logger) {
         confidence: effectiveConfidence,
         notes: fileSummary,
         subjectBrief,
-        documentDescription
+        documentDescription,
+        ...answeredBy
       })
       if (destinationDirectory !== path.dirname(filePath)) {
         summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: resolvedSubject })
@@ -266,29 +698,245 @@ async function runRenamer (targetPath, options, logger) {
         documentDescription,
         date: appliedDateRecord,
         dateCandidates,
-        moved: destinationDirectory !== path.dirname(filePath)
+        consensus,
+        usage: fileUsage,
+        moved: destinationDirectory !== path.dirname(filePath),
+        createdDirectories,
+        fingerprint,
+        cached: fromCache,
+        ...answeredBy
       })
+      if (checkpoint) {
+        checkpoint.record({ path: filePath, newPath: destinationPath, hash: contentHash, outcome: 'renamed' })
+      }
     } catch (error) {
       logger.error(`Error processing ${filePath}: ${error.message}`)
-      summary.addError({ file: filePath, error: error.message })
+      summary.addError({ file: filePath, error: error.message, kind: error.isProviderError ? 'provider' : 'file' })
+      emit('file:error', { file: filePath, error })
+      if (checkpoint) {
+        checkpoint.record({ path: filePath, outcome: 'error', error: error.message })
+      }
       operationLog.write({
         timestamp: new Date().toISOString(),
         operation: 'error',
         file: filePath,
-        error: error.message
+        error: error.message,
+        ...(fileUsage.requests ? { usage: fileUsage } : {})
       })
     }
   }
+}
+
+async function createRenameContext ({ rootDirectory, options, logger, provider = null, fileSystem = null, hooks = {}, events = null, signal = null }) {
+  const duplicatePolicy = parseDuplicatePolicy(options.duplicates)
+  const providers = createProviderRoutes(options, logger, provider)
+  const resolvedFileSystem = resolveFileSystem(fileSystem)
+  const instructionSet = await createInstructionSet(options, logger)
+  const datePattern = buildDateFormatRegex(options.dateFormat || 'YYYY-MM-DD')
+  const configuredRepairs = Number(options.repairAttempts)
+  const repairAttempts = Number.isFinite(configuredRepairs) && configuredRepairs >= 0
+    ? Math.floor(configuredRepairs)
+    : DEFAULT_REPAIR_ATTEMPTS
+  const sampling = parseSampling(options)
+  const usageTracker = await createUsageTracker(options)
+
+  let subjectManager = null
+  if (options.organizeBySubject) {
+    const subjectBase = path.resolve(options.subjectDestination || rootDirectory)
+    subjectManager = await createSubjectManager({
+      baseDirectory: subjectBase,
+      moveUnknownSubjects: Boolean(options.moveUnknownSubjects)
+    }, logger)
+  }
+
+  const responseCache = options.cache === false
+    ? null
+    : createResponseCache({ directory: options.cacheDir, logger })
+
+  return {
+    options,
+    logger,
+    providers,
+    repairAttempts,
+    sampling,
+    usageTracker,
+    instructionSet,
+    subjectManager,
+    datePattern,
+    duplicatePolicy,
+    responseCache,
+    fileSystem: resolvedFileSystem,
+    hooks: hooks || {},
+    emit: events ? (name, payload) => events.emit(name, payload) : () => {},
+    signal,
+    nameReservations: createNameReservations({ existsSync: resolvedFileSystem.existsSync })
+  }
+}
+
+async function runRenamer (targetPath, options, logger, runtime = {}) {
+  const { provider, fileSystem, hooks, events, reviewer = null, signal = null, handleSignals = true } = runtime
+  const stats = await fs.stat(targetPath)
+  const rootDirectory = stats.isDirectory() ? targetPath : path.dirname(targetPath)
+  const files = await discoverFiles(targetPath, options.includeSubdirectories)
+  if (!files.length) {
+    logger.warn('No files found to process.')
+    return { ...createSummary().export(), interrupted: false }
+  }
+
+  const context = await createRenameContext({ rootDirectory, options, logger, provider, fileSystem, hooks, events, signal })
+  const { subjectManager, responseCache, usageTracker } = context
+  if (options.modelCheck !== false) {
+    for (const { chain, categories } of context.providers.chains()) {
+      const routedFiles = files.filter(filePath => categories.includes(getFileCategory(filePath)))
+      if (routedFiles.length) {
+        await verifyModel({ ...chain.entries[0], files: routedFiles, logger })
+      }
+    }
+  }
+
+  const operationLog = options.operationLog === false
+    ? createNoopLogger()
+    : await createOperationLog({
+      rootDirectory,
+      explicitPath: options.logFile,
+      logger
+    })
+
+  const summary = createSummary()
+
+  let renamePlan = null
+  if (options.dryRun) {
+    renamePlan = createRenamePlan({
+      planPath: options.planFile ? path.resolve(options.planFile) : null,
+      rootDirectory
+    })
+  } else if (options.planFile) {
+    logger.warn('Ignoring --plan-file because plans are only written during --dry-run.')
+  }
+
+  let concurrency = Math.max(1, Math.floor(Number(options.concurrency)) || 1)
+  if (reviewer && concurrency > 1) {
+    logger.warn('Interactive review processes one file at a time; ignoring --concurrency.')
+    concurrency = 1
+  }
+
+  let checkpoint = null
+  if (options.dryRun) {
+    if (options.resume) {
+      logger.warn('Ignoring --resume during --dry-run; checkpoints only track live runs.')
+    }
+  } else if (options.checkpoint !== false) {
+    checkpoint = await createCheckpoint({
+      checkpointPath: options.checkpointFile || path.join(rootDirectory, CHECKPOINT_FILE_NAME),
+      resume: Boolean(options.resume),
+      logger
+    })
+  }
+
+  const duplicateDetector = await createDuplicateDetector({
+    files,
+    options,
+    enabled: context.duplicatePolicy.action !== 'keep' || Boolean(responseCache) || Boolean(checkpoint),
+    subjectDirectory: subjectManager ? subjectManager.baseDirectory : null,
+    logger
+  })
+  const processFile = createFileProcessor({ ...context, reviewer, checkpoint })
+
+  const orderedSink = createOrderedSink({ summary, operationLog, renamePlan })
+  let stopRequested = false
+  let interrupted = false
+  let budgetExceeded = null
+  let reviewEnded = false
+
+  const handleInterrupt = async () => {
+    if (!interrupted) {
+      interrupted = true
+      stopRequested = true
+      logger.warn('Interrupt received; finishing in-flight files. Press Ctrl-C again to stop immediately.')
+      return
+    }
+
+    logger.warn('Stopping immediately; in-flight files will be retried on --resume.')
+    orderedSink.drain()
+    await operationLog.close()
+    if (checkpoint) {
+      await checkpoint.close()
+    }
+    process.exit(130)
+  }
+  if (handleSignals) {
+    process.on('SIGINT', handleInterrupt)
+  }
 
+  await runWorkerPool(files, concurrency, async (filePath, index) => {
+    const slot = orderedSink.open(index)
+    try {
+      const outcome = await processFile(filePath, index, { ...slot, duplicateDetector })
+      if (outcome && outcome.stop) {
+        reviewEnded = true
+        stopRequested = true
+      }
+    } finally {
+      slot.close()
+    }
+    const exceeded = usageTracker.budgetExceeded()
+    if (exceeded && !budgetExceeded) {
+      budgetExceeded = exceeded
+      stopRequested = true
+      logger.warn(`${exceeded}; finishing in-flight files and leaving the rest unprocessed.`)
+    }
+  }, { shouldStop: () => stopRequested || Boolean(signal && signal.aborted) })
+
+  if (signal && signal.aborted) {
+    interrupted = true
+  }
+
+  process.removeListener('SIGINT', handleInterrupt)
+
+  if (checkpoint) {
+    if (interrupted || budgetExceeded || reviewEnded) {
+      await checkpoint.close()
+      const reason = interrupted ? 'interrupted' : (budgetExceeded ? 'stopped at its budget' : 'ended during review')
+      logger.warn(`Run ${reason}; continue later with --resume (checkpoint: ${checkpoint.path})`)
+    } else {
+      await checkpoint.remove()
+    }
+  }
+
+  if (responseCache) {
+    const { hits, misses } = responseCache.getCounters()
+    if (hits) {
+      logger.info(`Reused ${hits} cached model response${hits === 1 ? '' : 's'} (${misses} cache miss${misses === 1 ? '' : 'es'})`)
+    }
+  }
+
+  summary.setUsage(usageTracker.snapshot())
+  if (context.providers.hasRateLimits()) {
+    summary.setRateLimitWait(context.providers.rateLimitWaitMs())
+  }
   if (options.summary) {
     summary.print(logger)
   }
 
+  if (renamePlan && renamePlan.path) {
+    await renamePlan.save()
+    logger.info(`Wrote rename plan to ${renamePlan.path}`)
+  }
+
   await operationLog.close()
 
-  return summary.export()
+  const result = { ...summary.export(), interrupted }
+  if (budgetExceeded) {
+    result.budgetExceeded = budgetExceeded
+  }
+  if (renamePlan) {
+    result.plan = renamePlan.entries
+  }
+  return result
 }
 
 module.exports = {
-  runRenamer
+  runRenamer,
+  createRenameContext,
+  createFileProcessor
 }
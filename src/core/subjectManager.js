@@ -23,10 +23,6 @@ async function createSubjectManager ({ baseDirectory, moveUnknownSubjects }, log
   const subjects = new Set(existing.map(normalizeSubject).filter(Boolean))
   const hints = Array.from(subjects).sort()
 
-  async function ensureDirectory (dirPath) {
-    await fs.mkdir(dirPath, { recursive: true })
-  }
-
   function getHints () {
     return hints
   }
@@ -38,7 +34,6 @@ async function createSubjectManager ({ baseDirectory, moveUnknownSubjects }, log
         return null
       }
       const unknownDir = path.join(baseDirectory, 'Unknown')
-      await ensureDirectory(unknownDir)
       return { directory: unknownDir, subject: 'Unknown', confidence }
     }
 
@@ -49,7 +44,6 @@ async function createSubjectManager ({ baseDirectory, moveUnknownSubjects }, log
     }
 
     const destination = path.join(baseDirectory, normalized)
-    await ensureDirectory(destination)
     return { directory: destination, subject: normalized, confidence }
   }
 
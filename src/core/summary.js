@@ -3,6 +3,10 @@ function createSummary () {
   const moved = []
   const skipped = []
   const errors = []
+  const duplicates = []
+  const review = []
+  let usage = null
+  let rateLimitWaitMs = null
 
   return {
     addRename (entry) {
@@ -17,11 +21,24 @@ function createSummary () {
     addError (entry) {
       errors.push(entry)
     },
+    addDuplicate (entry) {
+      duplicates.push(entry)
+    },
+    addReview (entry) {
+      review.push(entry)
+    },
+    setUsage (totals) {
+      usage = totals
+    },
+    setRateLimitWait (ms) {
+      rateLimitWaitMs = ms
+    },
     print (logger) {
       logger.info('--- Run Summary ---')
       logger.info(`Renamed: ${renamed.length}`)
       renamed.forEach(item => {
-        logger.info(`  ${item.original} -> ${item.newName}`)
+        const via = item.fallback ? ` (via ${item.provider}/${item.model})` : ''
+        logger.info(`  ${item.original} -> ${item.newName}${via}`)
       })
       if (moved.length) {
         logger.info(`Moved: ${moved.length}`)
@@ -35,6 +52,29 @@ function createSummary () {
           logger.info(`  ${item.file} (${item.reason})`)
         })
       }
+      if (duplicates.length) {
+        logger.info(`Duplicates: ${duplicates.length}`)
+        duplicates.forEach(item => {
+          const target = item.destination ? ` -> ${item.destination}` : ''
+          logger.info(`  ${item.file} duplicates ${item.duplicateOf} (${item.action}${target})`)
+        })
+      }
+      if (review.length) {
+        logger.warn(`Needs review: ${review.length}`)
+        review.forEach(item => {
+          logger.warn(`  ${item.file} (${item.reason})`)
+        })
+      }
+      if (usage && usage.requests) {
+        const cost = usage.cost ? `, estimated cost $${usage.cost.toFixed(4)}` : ''
+        logger.info(`Tokens: ${usage.inputTokens} in / ${usage.outputTokens} out over ${usage.requests} request${usage.requests === 1 ? '' : 's'}${cost}`)
+        if (usage.unpricedModels.length) {
+          logger.info(`  No price for ${usage.unpricedModels.join(', ')}; add it with --price-table`)
+        }
+      }
+      if (rateLimitWaitMs) {
+        logger.info(`Waited ${(rateLimitWaitMs / 1000).toFixed(1)}s on rate limits`)
+      }
       if (errors.length) {
         logger.error(`Errors: ${errors.length}`)
         errors.forEach(item => {
@@ -43,7 +83,7 @@ function createSummary () {
       }
     },
     export () {
-      return { renamed, moved, skipped, errors }
+      return { renamed, moved, skipped, errors, duplicates, review, ...(usage ? { usage } : {}), ...(rateLimitWaitMs !== null ? { rateLimitWaitMs } : {}) }
     }
   }
 }
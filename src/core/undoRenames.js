@@ -0,0 +1,135 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { readOperationLog } = require('../utils/operationLog')
+
+async function statOrNull (filePath) {
+  try {
+    return await fs.stat(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+function describeFingerprintMismatch (fingerprint, stats) {
+  if (!fingerprint || typeof fingerprint !== 'object') return null
+  if (typeof fingerprint.size === 'number' && fingerprint.size !== stats.size) {
+    return `size changed since rename (${fingerprint.size} -> ${stats.size} bytes)`
+  }
+  if (typeof fingerprint.mtimeMs === 'number' && Math.trunc(fingerprint.mtimeMs) !== Math.trunc(stats.mtimeMs)) {
+    return 'modified since rename'
+  }
+  return null
+}
+
+async function removeEmptyDirectories (directories, { dryRun, logger }) {
+  const removed = []
+  const ordered = Array.from(new Set(directories))
+    .sort((a, b) => b.split(path.sep).length - a.split(path.sep).length)
+
+  for (const directory of ordered) {
+    if (dryRun) {
+      const entries = await fs.readdir(directory).catch(() => null)
+      if (entries && !entries.length) {
+        logger.info(`[dry-run] would remove empty folder ${directory}`)
+        removed.push(directory)
+      }
+      continue
+    }
+
+    try {
+      await fs.rmdir(directory)
+      logger.info(`Removed empty folder ${directory}`)
+      removed.push(directory)
+    } catch (error) {
+      if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+        logger.info(`Keeping ${directory}: folder is not empty`)
+      } else if (error.code !== 'ENOENT') {
+        logger.warn(`Unable to remove ${directory}: ${error.message}`)
+      }
+    }
+  }
+
+  return removed
+}
+
+async function undoRenames (logPath, options, logger) {
+  const entries = await readOperationLog(logPath)
+  const renames = entries
+    .filter(entry => entry && entry.operation === 'rename' && entry.originalPath && entry.newPath)
+    .reverse()
+
+  const restored = []
+  const conflicts = []
+  const createdDirectories = []
+
+  if (!renames.length) {
+    logger.warn(`No rename entries found in ${logPath}`)
+  }
+
+  for (const entry of renames) {
+    const { originalPath, newPath } = entry
+    const addConflict = (reason) => {
+      logger.warn(`Cannot restore ${newPath}: ${reason}`)
+      conflicts.push({ file: newPath, originalPath, reason })
+    }
+
+    // A failure here (EACCES, EXDEV, ...) only affects this entry; the rest of the
+    // log is still restored.
+    try {
+      const currentStats = await statOrNull(newPath)
+      if (!currentStats) {
+        addConflict('file no longer exists')
+        continue
+      }
+
+      const mismatch = describeFingerprintMismatch(entry.fingerprint, currentStats)
+      if (mismatch) {
+        addConflict(mismatch)
+        continue
+      }
+
+      if (await statOrNull(originalPath)) {
+        addConflict(`original path ${originalPath} is taken`)
+        continue
+      }
+
+      if (options.dryRun) {
+        logger.info(`[dry-run] ${newPath} -> ${originalPath}`)
+      } else {
+        await fs.mkdir(path.dirname(originalPath), { recursive: true })
+        await fs.rename(newPath, originalPath)
+        logger.info(`Restored ${originalPath}`)
+      }
+      restored.push({ file: newPath, originalPath })
+      if (Array.isArray(entry.createdDirectories)) {
+        createdDirectories.push(...entry.createdDirectories)
+      }
+    } catch (error) {
+      addConflict(`restore failed: ${error.message}`)
+    }
+  }
+
+  const removedDirectories = await removeEmptyDirectories(createdDirectories, {
+    dryRun: Boolean(options.dryRun),
+    logger
+  })
+
+  logger.info('--- Undo Summary ---')
+  logger.info(`Restored: ${restored.length}`)
+  if (removedDirectories.length) {
+    logger.info(`Removed folders: ${removedDirectories.length}`)
+  }
+  if (conflicts.length) {
+    logger.warn(`Conflicts: ${conflicts.length}`)
+    conflicts.forEach(item => {
+      logger.warn(`  ${item.file}: ${item.reason}`)
+    })
+  }
+
+  return { restored, conflicts, removedDirectories }
+}
+
+module.exports = {
+  undoRenames
+}
@@ -0,0 +1,104 @@
+const fs = require('fs/promises')
+const path = require('path')
+
+// USD per million tokens. Override or extend with --price-table.
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 }
+}
+
+const LOCAL_PROVIDERS = new Set(['ollama', 'lm-studio', 'llamacpp'])
+
+async function loadPriceTable (value) {
+  if (!value) return { ...DEFAULT_PRICES }
+  if (typeof value === 'object') return { ...DEFAULT_PRICES, ...value }
+
+  const resolved = path.resolve(process.cwd(), String(value))
+  try {
+    const contents = await fs.readFile(resolved, 'utf8')
+    return { ...DEFAULT_PRICES, ...JSON.parse(contents) }
+  } catch (error) {
+    throw new Error(`Unable to load price table at ${value}: ${error.message}`)
+  }
+}
+
+// Dated ids such as "claude-sonnet-4-5-20250929" use the price of their alias; the
+// longest matching key wins so "gpt-4o-mini" is not priced as "gpt-4o".
+function findPrice (prices, model) {
+  if (prices[model]) return prices[model]
+  const key = Object.keys(prices)
+    .filter(candidate => model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0]
+  return key ? prices[key] : null
+}
+
+function parseLimit (value, flag) {
+  if (value === undefined || value === null || value === '' || Number(value) === 0) return null
+  const limit = Number(value)
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw new Error(`Invalid ${flag} value "${value}" (expected a positive number)`)
+  }
+  return limit
+}
+
+async function createUsageTracker (options = {}) {
+  const prices = await loadPriceTable(options.priceTable)
+  const maxCost = parseLimit(options.maxCost, '--max-cost')
+  const maxTokens = parseLimit(options.maxTokens, '--max-tokens')
+  const unpriced = new Set()
+  const totals = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+
+  // Returns the estimated cost of one request, or null when the model has no price.
+  function record ({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+    totals.requests += 1
+    totals.inputTokens += inputTokens
+    totals.outputTokens += outputTokens
+
+    const price = findPrice(prices, model || '')
+    if (!price) {
+      if (LOCAL_PROVIDERS.has(provider)) return 0
+      unpriced.add(`${provider}/${model}`)
+      return null
+    }
+    const cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6
+    totals.cost += cost
+    return cost
+  }
+
+  function budgetExceeded () {
+    const totalTokens = totals.inputTokens + totals.outputTokens
+    if (maxTokens !== null && totalTokens >= maxTokens) {
+      return `Token budget reached (${totalTokens} of ${maxTokens} tokens used)`
+    }
+    if (maxCost !== null && totals.cost >= maxCost) {
+      return `Cost budget reached ($${totals.cost.toFixed(4)} of $${maxCost} spent)`
+    }
+    return null
+  }
+
+  function snapshot () {
+    return {
+      ...totals,
+      totalTokens: totals.inputTokens + totals.outputTokens,
+      unpricedModels: Array.from(unpriced)
+    }
+  }
+
+  return {
+    record,
+    budgetExceeded,
+    snapshot
+  }
+}
+
+module.exports = {
+  createUsageTracker,
+  findPrice,
+  DEFAULT_PRICES
+}
@@ -0,0 +1,186 @@
+const fs = require('fs')
+const fsPromises = require('fs/promises')
+const path = require('path')
+const { setTimeout: delay } = require('timers/promises')
+const { createRenameContext, createFileProcessor } = require('./runRenamer')
+const { createDuplicateDetector } = require('./duplicateDetector')
+const { createSummary } = require('./summary')
+const { createDailyOperationLog } = require('../utils/operationLog')
+const { verifyModel } = require('../providers/modelCheck')
+
+const PARTIAL_DOWNLOAD_EXTENSIONS = new Set(['.crdownload', '.part', '.download'])
+const DEFAULT_SETTLE_SECONDS = 2
+
+async function waitForStableFile (filePath, { intervalMs, isStopped }) {
+  let previous = null
+  while (!isStopped()) {
+    let stats
+    try {
+      stats = await fsPromises.stat(filePath)
+    } catch (error) {
+      return null
+    }
+    if (!stats.isFile()) return null
+    if (previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+      return stats
+    }
+    previous = stats
+    await delay(intervalMs)
+  }
+  return null
+}
+
+function openWatcher (directory, recursive, onEvent, logger) {
+  try {
+    return fs.watch(directory, { recursive }, onEvent)
+  } catch (error) {
+    if (!recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error
+    }
+    logger.warn('Recursive watching is not supported on this platform; watching the top-level directory only.')
+    return fs.watch(directory, onEvent)
+  }
+}
+
+async function watchDirectory (targetPath, options, logger, runtime = {}) {
+  const stats = await fsPromises.stat(targetPath)
+  if (!stats.isDirectory()) {
+    throw new Error(`--watch requires a directory: ${targetPath}`)
+  }
+
+  const rootDirectory = targetPath
+  const context = await createRenameContext({ rootDirectory, options, logger, events: runtime.events })
+  const { subjectManager, usageTracker } = context
+  if (options.modelCheck !== false) {
+    for (const { chain } of context.providers.chains()) {
+      await verifyModel({ ...chain.entries[0], logger })
+    }
+  }
+  const operationLog = await createDailyOperationLog({
+    rootDirectory,
+    explicitPath: options.logFile,
+    logger
+  })
+  const summary = createSummary()
+  const processFile = createFileProcessor({ ...context, reviewer: runtime.reviewer || null })
+
+  const settleSeconds = Number(options.watchSettleSeconds)
+  const intervalMs = (Number.isFinite(settleSeconds) && settleSeconds > 0 ? settleSeconds : DEFAULT_SETTLE_SECONDS) * 1000
+
+  // Paths the renamer itself produced; their creation events must not be fed back in.
+  const producedPaths = new Set()
+  const settling = new Set()
+  const trackingLog = {
+    write (entry) {
+      if (entry && entry.newPath) {
+        producedPaths.add(entry.newPath)
+      }
+      operationLog.write(entry)
+    }
+  }
+
+  let stopped = false
+  let interrupted = false
+  let queue = Promise.resolve()
+
+  const isIgnored = (filePath) => producedPaths.has(filePath) || operationLog.isLogPath(filePath)
+
+  async function handleFile (filePath) {
+    if (stopped || isIgnored(filePath)) return
+    const duplicateDetector = await createDuplicateDetector({
+      files: [filePath],
+      options,
+      enabled: context.duplicatePolicy.action !== 'keep' || Boolean(context.responseCache),
+      subjectDirectory: subjectManager ? subjectManager.baseDirectory : null,
+      logger
+    })
+    // Each arrival is its own single-file batch for duplicate detection.
+    const outcome = await processFile(filePath, 0, {
+      summary,
+      operationLog: trackingLog,
+      renamePlan: null,
+      duplicateDetector
+    })
+    if (outcome && outcome.stop) {
+      stop()
+    }
+    const exceeded = usageTracker.budgetExceeded()
+    if (exceeded) {
+      logger.warn(`${exceeded}; stopping watch mode.`)
+      stop()
+    }
+  }
+
+  function schedule (filePath) {
+    if (stopped || settling.has(filePath) || isIgnored(filePath)) return
+    if (PARTIAL_DOWNLOAD_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+      logger.debug(`Ignoring partial download ${filePath}`)
+      return
+    }
+
+    settling.add(filePath)
+    waitForStableFile(filePath, { intervalMs, isStopped: () => stopped })
+      .then((fileStats) => {
+        settling.delete(filePath)
+        if (!fileStats || stopped) return
+        queue = queue.then(() => handleFile(filePath)).catch((error) => {
+          logger.error(`Error processing ${filePath}: ${error.message}`)
+        })
+      })
+  }
+
+  let resolveStopped
+  const stoppedPromise = new Promise((resolve) => {
+    resolveStopped = resolve
+  })
+
+  const watcher = openWatcher(rootDirectory, Boolean(options.includeSubdirectories), (eventType, fileName) => {
+    // "change" events fire for edits to existing files; only new entries are filed.
+    if (eventType !== 'rename' || !fileName) return
+    schedule(path.join(rootDirectory, fileName.toString()))
+  }, logger)
+
+  watcher.on('error', (error) => {
+    logger.error(`Watcher error: ${error.message}`)
+    stop()
+  })
+
+  function stop () {
+    if (stopped) return
+    stopped = true
+    watcher.close()
+    resolveStopped()
+  }
+
+  const handleSignal = () => {
+    interrupted = true
+    logger.info('Stopping watch mode; finishing the file in progress.')
+    stop()
+  }
+  process.on('SIGINT', handleSignal)
+  process.on('SIGTERM', handleSignal)
+
+  logger.info(`Watching ${rootDirectory} for new files (Ctrl-C to stop)`)
+
+  await stoppedPromise
+  await queue
+
+  process.removeListener('SIGINT', handleSignal)
+  process.removeListener('SIGTERM', handleSignal)
+
+  summary.setUsage(usageTracker.snapshot())
+  if (context.providers.hasRateLimits()) {
+    summary.setRateLimitWait(context.providers.rateLimitWaitMs())
+  }
+  if (options.summary) {
+    summary.print(logger)
+  }
+
+  await operationLog.close()
+
+  return { ...summary.export(), interrupted }
+}
+
+module.exports = {
+  watchDirectory
+}
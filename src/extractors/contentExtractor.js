@@ -3,6 +3,7 @@ const fs = require('fs/promises')
 const { getFileCategory, getExtension } = require('../utils/fileType')
 const { extractText } = require('./textExtractor')
 const { extractPdf } = require('./pdfExtractor')
+const { extractOffice } = require('./officeExtractor')
 const { extractImage } = require('./imageExtractor')
 const { extractFrames } = require('./videoExtractor')
 const { collectSystemMetadata } = require('../utils/systemMetadata')
@@ -54,6 +55,24 @@ async function extractContent (filePath, options, logger) {
     return payload
   }
 
+  // Password-protected Office files are not zip packages; those fall through to the
+  // raw bytes below.
+  if (category === 'office') {
+    try {
+      const { text, metadata: officeMetadata } = await extractOffice(filePath)
+      if (Object.keys(officeMetadata).length) {
+        metadata.document = officeMetadata
+      }
+      const payload = { ...baseContext, text }
+      if (Object.keys(metadata).length) {
+        payload.metadata = metadata
+      }
+      return payload
+    } catch (error) {
+      logger.warn(`Unable to read ${baseName} as an Office document (${error.message}); sending raw bytes instead`)
+    }
+  }
+
   if (category === 'image') {
     const image = await extractImage(filePath)
     const payload = { ...baseContext, image }
@@ -0,0 +1,188 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { openZipArchive } = require('../utils/zipArchive')
+
+const MAX_TEXT_LENGTH = 20000
+const SHAPE_PATTERN = /<p:sp(?: [^>]*)?>[\s\S]*?<\/p:sp>/g
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function decodeXml (value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return XML_ENTITIES[entity.toLowerCase()] || match
+  })
+}
+
+function matchAll (xml, pattern) {
+  return Array.from(xml.matchAll(pattern))
+}
+
+// Text of every <prefix:p> paragraph, with runs joined and tabs and breaks kept.
+function paragraphText (xml, prefix) {
+  return matchAll(xml, new RegExp(`<${prefix}:p[ >][\\s\\S]*?</${prefix}:p>`, 'g'))
+    .map(([paragraph]) => paragraph
+      .replace(new RegExp(`<${prefix}:(tab|br)\\b[^>]*/>`, 'g'), ' ')
+      .replace(new RegExp(`<${prefix}:t(?: [^>]*)?>([^<]*)</${prefix}:t>|<[^>]+>|[^<]+`, 'g'), (match, text) => text === undefined ? '' : decodeXml(text))
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(Boolean)
+}
+
+// Maps relationship ids to part names, resolved against the directory of `partName`.
+function readRelationships (archive, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`)
+  const xml = archive.readText(relsName) || ''
+  const relationships = new Map()
+  for (const [tag] of matchAll(xml, /<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]*)"/)
+    const target = tag.match(/\bTarget="([^"]*)"/)
+    if (!id || !target) continue
+    const resolved = target[1].startsWith('/')
+      ? target[1].slice(1)
+      : path.posix.normalize(path.posix.join(path.posix.dirname(partName), target[1]))
+    relationships.set(id[1], { target: resolved, type: (tag.match(/\bType="([^"]*)"/) || [])[1] || '' })
+  }
+  return relationships
+}
+
+function readCoreProperties (archive) {
+  const xml = archive.readText('docProps/core.xml')
+  if (!xml) return {}
+
+  const field = (tag) => {
+    const match = xml.match(new RegExp(`<${tag}(?: [^>]*)?>([^<]*)</${tag}>`))
+    return match ? decodeXml(match[1]).trim() : ''
+  }
+  const date = (tag) => {
+    const parsed = new Date(field(tag))
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString()
+  }
+
+  const meta = {}
+  if (field('dc:title')) meta.title = field('dc:title')
+  if (field('dc:creator')) meta.author = field('dc:creator')
+  if (field('dc:subject')) meta.subject = field('dc:subject')
+  if (field('cp:keywords')) meta.keywords = field('cp:keywords')
+  if (field('cp:lastModifiedBy')) meta.lastModifiedBy = field('cp:lastModifiedBy')
+  const creation = date('dcterms:created')
+  if (creation) meta.creationDate = creation
+  const modification = date('dcterms:modified')
+  if (modification) meta.modificationDate = modification
+  return meta
+}
+
+function extractDocx (archive) {
+  const sections = ['word/document.xml', 'word/footnotes.xml']
+    .map(name => archive.readText(name))
+    .filter(Boolean)
+    .map(xml => paragraphText(xml, 'w').join('\n'))
+  return { text: sections.filter(Boolean).join('\n\n') }
+}
+
+function slideNumber (name) {
+  return Number((name.match(/(\d+)\.xml$/) || [])[1] || 0)
+}
+
+// Slides in presentation order with their titles, remaining text, and speaker notes.
+function extractPptx (archive) {
+  const presentation = 'ppt/presentation.xml'
+  const relationships = readRelationships(archive, presentation)
+  let slideNames = matchAll(archive.readText(presentation) || '', /<p:sldId\b[^>]*\br:id="([^"]*)"/g)
+    .map(([, id]) => relationships.get(id))
+    .filter(Boolean)
+    .map(relationship => relationship.target)
+    .filter(name => archive.has(name))
+  if (!slideNames.length) {
+    slideNames = archive.names()
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => slideNumber(a) - slideNumber(b))
+  }
+
+  const sections = slideNames.map((name, index) => {
+    const shapes = matchAll(archive.readText(name), SHAPE_PATTERN).map(([shape]) => shape)
+    const isTitle = shape => /<p:ph\b[^>]*\btype="(title|ctrTitle)"/.test(shape)
+    const title = shapes.filter(isTitle).flatMap(shape => paragraphText(shape, 'a')).join(' ')
+    const body = shapes.filter(shape => !isTitle(shape)).flatMap(shape => paragraphText(shape, 'a'))
+
+    const notesRelationship = Array.from(readRelationships(archive, name).values())
+      .find(relationship => relationship.type.endsWith('/notesSlide'))
+    const notes = notesRelationship
+      ? matchAll(archive.readText(notesRelationship.target) || '', SHAPE_PATTERN)
+        .map(([shape]) => shape)
+        .filter(shape => /<p:ph\b[^>]*\btype="body"/.test(shape))
+        .flatMap(shape => paragraphText(shape, 'a'))
+      : []
+
+    return [
+      `## ${title || `Slide ${index + 1}`}`,
+      ...body,
+      ...(notes.length ? [`Speaker notes: ${notes.join(' ')}`] : [])
+    ].join('\n')
+  })
+
+  return { text: sections.join('\n\n'), slides: slideNames.length }
+}
+
+// Sheet names with the first non-empty row of each sheet, which is usually the header.
+function extractXlsx (archive) {
+  const workbook = 'xl/workbook.xml'
+  const relationships = readRelationships(archive, workbook)
+  const sharedStrings = matchAll(archive.readText('xl/sharedStrings.xml') || '', /<si>([\s\S]*?)<\/si>/g)
+    .map(([, item]) => matchAll(item, /<t(?: [^>]*)?>([^<]*)<\/t>/g).map(([, text]) => decodeXml(text)).join(''))
+
+  const sheets = matchAll(archive.readText(workbook) || '', /<sheet\b[^>]*>/g).map(([tag]) => ({
+    name: decodeXml((tag.match(/\bname="([^"]*)"/) || [])[1] || ''),
+    relationship: relationships.get((tag.match(/\br:id="([^"]*)"/) || [])[1])
+  }))
+
+  const cellText = ([, attributes, inner = '']) => {
+    const type = (attributes.match(/\bt="([^"]*)"/) || [])[1]
+    const value = (inner.match(/<v>([^<]*)<\/v>/) || [])[1]
+    if (type === 's') return (sharedStrings[Number(value)] || '').trim()
+    if (type === 'inlineStr') return matchAll(inner, /<t(?: [^>]*)?>([^<]*)<\/t>/g).map(([, part]) => decodeXml(part)).join('').trim()
+    return value === undefined ? '' : decodeXml(value).trim()
+  }
+
+  const sections = sheets.map(({ name, relationship }) => {
+    const xml = relationship ? archive.readText(relationship.target) || '' : ''
+    const lines = [`## Sheet: ${name}`]
+    for (const [, row] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = matchAll(row, /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g).map(cellText).filter(Boolean)
+      if (cells.length) {
+        lines.push(`Header row: ${cells.join(' | ')}`)
+        break
+      }
+    }
+    return lines.join('\n')
+  })
+
+  return { text: sections.join('\n\n'), sheets: sheets.length }
+}
+
+const EXTRACTORS = {
+  '.docx': extractDocx,
+  '.pptx': extractPptx,
+  '.xlsx': extractXlsx
+}
+
+async function extractOffice (filePath) {
+  const extension = path.extname(filePath).toLowerCase()
+  const archive = openZipArchive(await fs.readFile(filePath))
+  const { text, slides, sheets } = EXTRACTORS[extension](archive)
+
+  const metadata = readCoreProperties(archive)
+  if (slides) metadata.slides = slides
+  if (sheets) metadata.sheets = sheets
+
+  return {
+    text: text.trim().slice(0, MAX_TEXT_LENGTH),
+    metadata
+  }
+}
+
+module.exports = {
+  extractOffice
+}
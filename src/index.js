@@ -1,52 +1,67 @@
-#!/usr/bin/env node
-
 const path = require('path')
-const process = require('process')
+const { defaultOptions } = require('./cli/createCli')
+const { runRenamer: runRenamerCore } = require('./core/runRenamer')
+const { buildSilentLogger } = require('./utils/logger')
 
-const { createCli } = require('./cli/createCli')
-const { loadConfig, saveConfig, filterPersistedOptions } = require('./config/configStore')
-const { runRenamer } = require('./core/runRenamer')
-const { buildLogger } = require('./utils/logger')
+function isProviderClient (value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.generateFilename === 'function'
+}
 
-async function main () {
-  const logger = buildLogger()
-  const config = await loadConfig()
-  const cli = createCli(config)
+function prepareRun (options) {
+  const {
+    logger = buildSilentLogger(),
+    provider,
+    fs: fileSystem,
+    hooks,
+    events,
+    reviewer,
+    signal,
+    ...renamerOptions
+  } = options
 
-  let argv
-  try {
-    argv = await cli.parseAsync()
-  } catch (error) {
-    logger.error(error.message)
-    process.exitCode = 1
-    return
+  // Unlike the CLI, the library writes nothing besides the renames themselves unless
+  // the caller opts in to the cache, operation log, or checkpoint.
+  const effectiveOptions = {
+    ...defaultOptions,
+    cache: Boolean(renamerOptions.cacheDir),
+    operationLog: Boolean(renamerOptions.logFile),
+    checkpoint: Boolean(renamerOptions.resume || renamerOptions.checkpointFile),
+    ...renamerOptions
   }
-
-  const targetPath = argv._[0]
-  if (!targetPath) {
-    cli.showHelp()
-    process.exitCode = 1
-    return
+  let providerClient = null
+  if (isProviderClient(provider)) {
+    providerClient = provider
+    // The provider name is part of the response cache key.
+    effectiveOptions.provider = provider.name || 'custom'
+  } else if (provider) {
+    effectiveOptions.provider = provider
   }
 
-  const resolvedTargetPath = path.resolve(process.cwd(), targetPath)
-
-  const effectiveOptions = { ...config, ...argv }
-  delete effectiveOptions._
-  delete effectiveOptions.$0
-
-  const persistedOptions = filterPersistedOptions(effectiveOptions)
-  await saveConfig(persistedOptions)
-
-  try {
-    await runRenamer(resolvedTargetPath, effectiveOptions, logger)
-  } catch (error) {
-    logger.error(error.message)
-    if (error.stack) {
-      logger.debug(error.stack)
+  return {
+    effectiveOptions,
+    logger,
+    runtime: {
+      provider: providerClient,
+      fileSystem,
+      hooks,
+      events,
+      reviewer,
+      signal,
+      handleSignals: false
     }
-    process.exitCode = 1
   }
 }
 
-main()
+async function runRenamer (targetPath, options = {}) {
+  const { effectiveOptions, logger, runtime } = prepareRun(options)
+  return runRenamerCore(path.resolve(targetPath), effectiveOptions, logger, runtime)
+}
+
+async function planRenames (targetPath, options = {}) {
+  return runRenamer(targetPath, { ...options, dryRun: true })
+}
+
+module.exports = {
+  runRenamer,
+  planRenames
+}
@@ -0,0 +1,132 @@
+const { parseModelResponse } = require('../utils/parseModelResponse')
+const { createRetryPolicy, postWithRetry, fetchJson } = require('./requestWithRetry')
+const { estimatePromptTokens } = require('./rateLimiter')
+
+const ANTHROPIC_VERSION = '2023-06-01'
+const SUPPORTED_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+const TOOL_NAME = 'record_filename'
+const DEFAULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    filename: { type: 'string' },
+    subject: { type: ['string', 'null'] },
+    subject_confidence: { type: 'number' },
+    summary: { type: 'string' }
+  },
+  required: ['filename']
+}
+
+function buildMessagesEndpoint (rawBaseUrl) {
+  const trimmed = (rawBaseUrl || 'https://api.anthropic.com').replace(/\/+$/, '')
+  return /\/v1$/.test(trimmed) ? `${trimmed}/messages` : `${trimmed}/v1/messages`
+}
+
+function createAnthropicClient (options, logger) {
+  const apiKey = options.anthropicApiKey || process.env.ANTHROPIC_API_KEY
+  if (!apiKey) {
+    throw new Error('Anthropic provider requires --anthropic-api-key or the ANTHROPIC_API_KEY environment variable')
+  }
+
+  const endpoint = buildMessagesEndpoint(options.baseUrl)
+  const apiHeaders = {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  }
+  const model = options.model || 'claude-sonnet-4-5'
+  const useToolUse = options.jsonMode !== false
+  const retryPolicy = createRetryPolicy(options)
+
+  function buildUserContent (prompt) {
+    const content = []
+    const images = prompt.images || []
+    const frames = prompt.frames || []
+
+    images.forEach(image => {
+      if (!SUPPORTED_IMAGE_TYPES.has(image.mediaType)) {
+        logger.debug(`Anthropic does not accept ${image.mediaType} images; sending text context only`)
+        return
+      }
+      content.push({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.base64 } })
+    })
+
+    frames.forEach(frame => {
+      content.push({ type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: frame } })
+    })
+
+    // Anthropic recommends placing images before the text that refers to them.
+    content.push({ type: 'text', text: prompt.userMessage })
+    return content
+  }
+
+  function buildBody (prompt) {
+    const body = {
+      model,
+      max_tokens: 1024,
+      temperature: 0.2,
+      system: prompt.systemMessage,
+      messages: [
+        { role: 'user', content: buildUserContent(prompt) },
+        ...(prompt.conversation || [])
+      ]
+    }
+
+    if (useToolUse) {
+      body.tools = [{
+        name: TOOL_NAME,
+        description: 'Record the proposed filename and subject for the file.',
+        input_schema: prompt.responseSchema || DEFAULT_SCHEMA
+      }]
+      body.tool_choice = { type: 'tool', name: TOOL_NAME }
+    } else {
+      // Prefilling the assistant turn with "{" keeps the reply to a bare JSON object.
+      body.messages.push({ role: 'assistant', content: '{' })
+    }
+
+    return body
+  }
+
+  async function generateFilename (prompt, { signal, onAttempt, onUsage } = {}) {
+    const tokens = estimatePromptTokens(prompt)
+    const response = await postWithRetry(endpoint, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...apiHeaders
+      },
+      body: JSON.stringify(buildBody(prompt))
+    }, { label: 'Anthropic', policy: retryPolicy, logger, signal, onAttempt, tokens })
+
+    const data = await response.json()
+    if (data.usage) {
+      const usage = { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 }
+      if (retryPolicy.limiter) retryPolicy.limiter.adjust(usage.inputTokens + usage.outputTokens - tokens)
+      if (onUsage) onUsage(usage)
+    }
+    const blocks = Array.isArray(data.content) ? data.content : []
+    const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === TOOL_NAME)
+    if (toolUse && toolUse.input && typeof toolUse.input === 'object') {
+      return toolUse.input
+    }
+
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+    return parseModelResponse(useToolUse ? text : `{${text}`)
+  }
+
+  async function listModels () {
+    const data = await fetchJson(endpoint.replace(/\/messages$/, '/models?limit=1000'), { headers: apiHeaders, policy: retryPolicy })
+    // Every current Claude model accepts image input.
+    return (data.data || []).map(entry => ({ name: entry.id, vision: true }))
+  }
+
+  return {
+    model,
+    generateFilename,
+    listModels
+  }
+}
+
+module.exports = {
+  createAnthropicClient
+}
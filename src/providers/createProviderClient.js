@@ -1,5 +1,8 @@
 const { createOllamaClient } = require('./ollamaClient')
 const { createOpenAICompatibleClient } = require('./openAICompatibleClient')
+const { createAnthropicClient } = require('./anthropicClient')
+const { createHeuristicClient } = require('./heuristicClient')
+const { createLlamaCppClient } = require('./llamaCppClient')
 
 function createProviderClient (options, logger) {
   const provider = (options.provider || 'ollama').toLowerCase()
@@ -15,6 +18,15 @@ function createProviderClient (options, logger) {
     }
     return createOpenAICompatibleClient({ ...options, baseUrl: options.baseUrl || 'https://api.openai.com/v1' }, logger)
   }
+  if (provider === 'anthropic') {
+    return createAnthropicClient(options, logger)
+  }
+  if (provider === 'llamacpp') {
+    return createLlamaCppClient(options, logger)
+  }
+  if (provider === 'heuristic') {
+    return createHeuristicClient(options)
+  }
   throw new Error(`Unsupported provider: ${provider}`)
 }
 
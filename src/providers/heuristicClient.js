@@ -0,0 +1,120 @@
+const path = require('path')
+const { getDateCandidates } = require('../utils/fileDates')
+const { isGenericFilename } = require('../utils/validateModelResponse')
+
+const MODEL_NAME = 'heuristic'
+const MAX_TITLE_WORDS = 10
+
+function firstString (...values) {
+  for (const value of values) {
+    const candidate = Array.isArray(value) ? value[0] : value
+    if (typeof candidate === 'string' && candidate.trim()) return candidate.trim()
+  }
+  return null
+}
+
+function shortenTitle (value) {
+  const words = value
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_`~]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.:;,!?-]+$/, '')
+    .split(' ')
+  return words.slice(0, MAX_TITLE_WORDS).join(' ')
+}
+
+// Markdown "#" headings, setext headings, HTML <h1>/<title>, then the first short
+// line that reads like a title.
+function findHeading (text) {
+  if (!text) return null
+  const html = text.match(/<(h1|title)[^>]*>([^<]+)<\/\1>/i)
+  if (html) return html[2]
+
+  const lines = text.split(/\r?\n/).map(line => line.trim())
+  for (const [index, line] of lines.entries()) {
+    const atx = line.match(/^#{1,6}\s+(.+?)\s*#*$/)
+    if (atx) return atx[1]
+    if (line && /^(=+|-+)$/.test(lines[index + 1] || '') && /[a-z]/i.test(line)) return line
+  }
+
+  return lines.find(line => line.length >= 3 && line.length <= 80 && /[a-z]{2}/i.test(line)) || null
+}
+
+function describeCategory (content) {
+  if (content.image) return 'image'
+  if (content.frames) return 'video'
+  if (content.text !== undefined) return 'document'
+  return 'file'
+}
+
+// Builds an answer in the same shape a model returns, from what the extractors
+// already collected. Deterministic and offline, so it suits air-gapped machines,
+// low-value files, and end-to-end tests.
+function createHeuristicClient (options = {}) {
+  const dateFormat = options.dateFormat || 'YYYY-MM-DD'
+
+  async function generateFilename (prompt, { content, dateCandidates } = {}) {
+    if (!content) {
+      throw new Error('The heuristic provider needs the extracted file content')
+    }
+
+    const documentMetadata = content.metadata?.document || {}
+    const macMetadata = content.metadata?.mac || {}
+    // content.extension is lowercased; strip the extension as it is actually written.
+    const fileName = content.fileName || 'file'
+    const originalBase = path.basename(fileName, path.extname(fileName))
+
+    const titleSources = [
+      { source: 'document title', value: firstString(documentMetadata.title) },
+      { source: 'metadata title', value: firstString(macMetadata.kMDItemTitle) },
+      { source: 'first heading', value: findHeading(content.text) },
+      { source: 'original filename', value: originalBase.replace(/[-_.]+/g, ' ') }
+    ]
+    const title = titleSources
+      .map(entry => ({ ...entry, value: entry.value ? shortenTitle(entry.value) : '' }))
+      .find(entry => entry.value && !isGenericFilename(entry.value))
+
+    const subject = firstString(documentMetadata.author, macMetadata.kMDItemAuthors, macMetadata.kMDItemCreator)
+
+    let appliedDate = null
+    if (options.appendDate) {
+      const candidates = dateCandidates && dateCandidates.length ? dateCandidates : getDateCandidates(content, { dateFormat })
+      const top = candidates.find(candidate => candidate.formattedValue)
+      if (top) {
+        appliedDate = { value: top.formattedValue, source: top.source, rationale: 'Highest-priority date candidate' }
+      }
+    }
+
+    const baseName = title ? title.value : `${describeCategory(content)} ${content.modifiedAt.slice(0, 10)}`
+    const filename = appliedDate ? `${baseName} ${appliedDate.value}` : baseName
+
+    const response = {
+      filename,
+      subject: subject || null,
+      subject_confidence: subject ? 0.5 : 0,
+      subject_brief: null,
+      document_description: null,
+      summary: `Named from the ${title ? title.source : 'file type and modification date'} without a model`
+    }
+    if (options.appendDate) {
+      response.applied_date = appliedDate || { value: null, source: null, rationale: 'No date candidates found' }
+    }
+    return response
+  }
+
+  async function listModels () {
+    return [{ name: MODEL_NAME, vision: false }]
+  }
+
+  return {
+    model: MODEL_NAME,
+    deterministic: true,
+    generateFilename,
+    listModels
+  }
+}
+
+module.exports = {
+  createHeuristicClient
+}
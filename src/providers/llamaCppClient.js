@@ -0,0 +1,141 @@
+const { parseModelResponse } = require('../utils/parseModelResponse')
+const { schemaToGbnf } = require('../utils/schemaGrammar')
+const { createRetryPolicy, postWithRetry, fetchJson } = require('./requestWithRetry')
+const { estimatePromptTokens } = require('./rateLimiter')
+
+// llama-server replaces each marker in the prompt with the next multimodal_data entry.
+const MEDIA_MARKER = '<__media__>'
+const ROLE_LABELS = { system: 'System', user: 'User', assistant: 'Assistant' }
+
+function normalizeBaseUrl (rawBaseUrl) {
+  return (rawBaseUrl || 'http://127.0.0.1:8080').replace(/\/+$/, '').replace(/\/v1$/, '')
+}
+
+// Talks to llama.cpp's own server. /completion takes a raw prompt, so the chat is
+// rendered with the model's template via /apply-template, and a GBNF grammar built
+// from the response schema constrains decoding to valid JSON.
+function createLlamaCppClient (options, logger) {
+  const baseUrl = normalizeBaseUrl(options.baseUrl)
+  const model = options.model || 'llama-server'
+  const useGrammar = options.jsonMode !== false
+  const retryPolicy = createRetryPolicy(options)
+  let templateSupported = true
+  let propsRequest = null
+
+  function buildGenerationOptions () {
+    const generation = { n_predict: 1024, temperature: 0.2 }
+    const temperature = Number(options.temperature)
+    if (options.temperature !== null && options.temperature !== undefined && options.temperature !== '' && Number.isFinite(temperature)) {
+      generation.temperature = temperature
+    }
+    const seed = Number(options.seed)
+    if (options.seed !== null && options.seed !== undefined && options.seed !== '' && Number.isInteger(seed)) {
+      generation.seed = seed
+    }
+    return generation
+  }
+
+  const generationOptions = buildGenerationOptions()
+
+  function loadProps () {
+    if (!propsRequest) {
+      propsRequest = fetchJson(`${baseUrl}/props`, { policy: retryPolicy }).catch((error) => {
+        logger.debug(`Unable to read llama-server properties: ${error.message}`)
+        return {}
+      })
+    }
+    return propsRequest
+  }
+
+  // Builds without /apply-template get a plain role-labelled transcript instead.
+  async function renderPrompt (messages) {
+    if (templateSupported) {
+      try {
+        const data = await fetchJson(`${baseUrl}/apply-template`, { method: 'POST', body: { messages }, policy: retryPolicy })
+        if (typeof data.prompt === 'string') return data.prompt
+      } catch (error) {
+        if (error.status !== 404) throw error
+      }
+      logger.debug('llama-server has no /apply-template endpoint; using a plain chat transcript')
+      templateSupported = false
+    }
+
+    const transcript = messages.map(message => `${ROLE_LABELS[message.role] || message.role}: ${message.content}`)
+    return `${transcript.join('\n\n')}\n\n${ROLE_LABELS.assistant}:`
+  }
+
+  async function generateFilename (prompt, { signal, onAttempt, onUsage, sample = 0 } = {}) {
+    let media = [
+      ...(prompt.images || []).map(image => image.base64),
+      ...(prompt.frames || [])
+    ]
+    if (media.length) {
+      const props = await loadProps()
+      if (!props.modalities || !props.modalities.vision) {
+        logger.debug('llama-server was started without a vision projector; sending text context only')
+        media = []
+      }
+    }
+
+    const userContent = media.length
+      ? `${media.map(() => MEDIA_MARKER).join('\n')}\n${prompt.userMessage}`
+      : prompt.userMessage
+    const text = await renderPrompt([
+      { role: 'system', content: prompt.systemMessage },
+      { role: 'user', content: userContent },
+      ...(prompt.conversation || [])
+    ])
+
+    const body = {
+      prompt: media.length ? { prompt_string: text, multimodal_data: media } : text,
+      stream: false,
+      cache_prompt: true,
+      ...generationOptions
+    }
+    if (sample && generationOptions.seed !== undefined) {
+      body.seed = generationOptions.seed + sample
+    }
+    if (useGrammar) {
+      body.grammar = schemaToGbnf(prompt.responseSchema)
+    }
+
+    const tokens = estimatePromptTokens(prompt)
+    const response = await postWithRetry(`${baseUrl}/completion`, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    }, { label: 'llama.cpp', policy: retryPolicy, logger, signal, onAttempt, tokens })
+
+    const data = await response.json()
+    if (data.tokens_evaluated !== undefined || data.tokens_predicted !== undefined) {
+      const usage = { inputTokens: data.tokens_evaluated || 0, outputTokens: data.tokens_predicted || 0 }
+      if (retryPolicy.limiter) retryPolicy.limiter.adjust(usage.inputTokens + usage.outputTokens - tokens)
+      if (onUsage) onUsage(usage)
+    }
+    return parseModelResponse(data.content)
+  }
+
+  async function listModels () {
+    const [data, props] = await Promise.all([
+      fetchJson(`${baseUrl}/v1/models`, { policy: retryPolicy }),
+      loadProps()
+    ])
+    const vision = props.modalities ? Boolean(props.modalities.vision) : null
+    return (data.data || []).map(entry => ({ name: entry.id, vision }))
+  }
+
+  return {
+    model,
+    // llama-server answers with whatever model it was started with, whatever the
+    // request names, so the pre-run check only looks at vision support.
+    singleModel: true,
+    deterministic: generationOptions.temperature === 0,
+    generateFilename,
+    listModels
+  }
+}
+
+module.exports = {
+  createLlamaCppClient
+}
@@ -0,0 +1,48 @@
+const { getFileCategory } = require('../utils/fileType')
+
+function findModel (models, requested) {
+  return models.find(entry =>
+    entry.name === requested ||
+    entry.name === `${requested}:latest` ||
+    // Anthropic aliases such as "claude-sonnet-4-5" resolve to dated model ids.
+    new RegExp(`^${requested.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-\\d{8}$`).test(entry.name)
+  ) || null
+}
+
+// Confirms the configured model exists before a batch starts and warns when visual
+// files are about to go to a text-only model. Providers that cannot list their models
+// (or are unreachable, which the fallback chain handles) are not checked.
+async function verifyModel ({ provider, client, files = [], logger }) {
+  if (!client || typeof client.listModels !== 'function') return null
+
+  let models
+  try {
+    models = await client.listModels()
+  } catch (error) {
+    logger.debug(`Skipping model check for ${provider}: ${error.message}`)
+    return null
+  }
+
+  const match = client.singleModel ? models[0] : findModel(models, client.model)
+  if (!match) {
+    const available = models.map(entry => entry.name).slice(0, 20).join(', ') || 'none'
+    throw new Error(`Model "${client.model}" is not available from ${provider} (available: ${available}). Run "ai-renamer models" to list them.`)
+  }
+
+  if (match.vision === false) {
+    const visualFiles = files.filter(filePath => {
+      const category = getFileCategory(filePath)
+      return category === 'image' || category === 'video'
+    })
+    if (visualFiles.length) {
+      logger.warn(`${match.name} does not accept images; ${visualFiles.length} image/video file${visualFiles.length === 1 ? '' : 's'} will be named from their metadata and text only.`)
+    }
+  }
+
+  return match
+}
+
+module.exports = {
+  findModel,
+  verifyModel
+}
@@ -1,11 +1,95 @@
 const { parseModelResponse } = require('../utils/parseModelResponse')
+const { createRetryPolicy, postWithRetry, fetchJson } = require('./requestWithRetry')
+const { estimatePromptTokens } = require('./rateLimiter')
+const { readLines, stallTimeoutMs } = require('./streamResponse')
+
+// Older Ollama releases report no capabilities; their multimodal models carry a
+// vision projector family instead.
+const VISION_FAMILIES = new Set(['clip', 'mllama'])
+
+function detectVision (show) {
+  if (Array.isArray(show.capabilities)) {
+    return show.capabilities.includes('vision')
+  }
+  const families = (show.details && show.details.families) || []
+  return families.some(family => VISION_FAMILIES.has(family))
+}
 
 function createOllamaClient (options, logger) {
   const baseUrl = (options.baseUrl || 'http://127.0.0.1:11434').replace(/\/$/, '')
   const endpoint = `${baseUrl}/api/chat`
   const model = options.model || 'llava:13b'
+  const retryPolicy = createRetryPolicy(options)
+  const useJsonMode = options.jsonMode !== false
+  const streaming = Boolean(options.stream)
+  const stallMs = stallTimeoutMs(options)
+  let schemaFormatSupported = true
+
+  function buildGenerationOptions () {
+    const generation = {}
+    const temperature = Number(options.temperature)
+    if (options.temperature !== null && options.temperature !== '' && Number.isFinite(temperature)) {
+      generation.temperature = temperature
+    }
+    const numCtx = Number(options.numCtx)
+    if (Number.isFinite(numCtx) && numCtx > 0) {
+      generation.num_ctx = Math.floor(numCtx)
+    }
+    const seed = Number(options.seed)
+    if (options.seed !== null && options.seed !== '' && Number.isInteger(seed)) {
+      generation.seed = seed
+    }
+    return generation
+  }
 
-  async function generateFilename (prompt) {
+  function parseKeepAlive (value) {
+    if (value === undefined || value === null || value === '') return null
+    const numeric = Number(value)
+    return Number.isFinite(numeric) ? numeric : String(value)
+  }
+
+  const generationOptions = buildGenerationOptions()
+  const keepAlive = parseKeepAlive(options.keepAlive)
+
+  // Streamed replies arrive as NDJSON chunks; the last one (done: true) carries
+  // the token counts.
+  async function readStreamedChat (response, onProgress) {
+    let content = ''
+    let final = {}
+    await readLines(response, {
+      label: 'Ollama',
+      stallMs,
+      onLine: (line) => {
+        const chunk = JSON.parse(line)
+        if (chunk.error) {
+          throw new Error(`Ollama stream failed: ${chunk.error}`)
+        }
+        if (chunk.message && chunk.message.content) {
+          content += chunk.message.content
+          if (onProgress) onProgress(content)
+        }
+        if (chunk.done) final = chunk
+      }
+    })
+    return { ...final, message: { role: 'assistant', content } }
+  }
+
+  async function sendChat (body, { onProgress, ...requestOptions }) {
+    return postWithRetry(endpoint, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ...body, stream: streaming })
+    }, {
+      label: 'Ollama',
+      policy: retryPolicy,
+      logger,
+      ...requestOptions,
+      read: (response) => streaming ? readStreamedChat(response, onProgress) : response.json()
+    })
+  }
+
+  async function generateFilename (prompt, { signal, onAttempt, onUsage, onProgress, sample = 0 } = {}) {
     const userMessage = {
       role: 'user',
       content: prompt.userMessage
@@ -25,34 +109,72 @@ function createOllamaClient (options, logger) {
 
     const body = {
       model,
-      stream: false,
       messages: [
         { role: 'system', content: prompt.systemMessage },
-        userMessage
+        userMessage,
+        ...(prompt.conversation || [])
       ]
     }
+    if (Object.keys(generationOptions).length) {
+      // Each --samples request gets its own seed so a fixed seed still yields votes.
+      body.options = sample && generationOptions.seed !== undefined
+        ? { ...generationOptions, seed: generationOptions.seed + sample }
+        : generationOptions
+    }
+    if (keepAlive !== null) {
+      body.keep_alive = keepAlive
+    }
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      throw new Error(`Ollama request failed (${response.status}): ${errorText}`)
+    const useSchema = useJsonMode && schemaFormatSupported && prompt.responseSchema
+    if (useJsonMode) {
+      body.format = useSchema ? prompt.responseSchema : 'json'
     }
 
-    const data = await response.json()
+    const tokens = estimatePromptTokens(prompt)
+    let data
+    try {
+      data = await sendChat(body, { signal, onAttempt, onProgress, tokens })
+    } catch (error) {
+      // Ollama releases before structured outputs only understand format: "json".
+      if (!useSchema || error.status !== 400 || !/format/i.test(error.message)) {
+        throw error
+      }
+      logger.warn('Ollama rejected the JSON schema format; falling back to format "json".')
+      schemaFormatSupported = false
+      data = await sendChat({ ...body, format: 'json' }, { signal, onAttempt, onProgress, tokens })
+    }
+    if (data.prompt_eval_count !== undefined || data.eval_count !== undefined) {
+      const usage = { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+      if (retryPolicy.limiter) retryPolicy.limiter.adjust(usage.inputTokens + usage.outputTokens - tokens)
+      if (onUsage) onUsage(usage)
+    }
     const messageContent = data.message?.content || data.message
     const parsed = parseModelResponse(messageContent)
     return parsed
   }
 
+  async function listModels () {
+    const tags = await fetchJson(`${baseUrl}/api/tags`, { policy: retryPolicy })
+    const models = []
+    for (const entry of tags.models || []) {
+      let vision = null
+      try {
+        const show = await fetchJson(`${baseUrl}/api/show`, { method: 'POST', body: { model: entry.name }, policy: retryPolicy })
+        vision = detectVision(show)
+      } catch (error) {
+        logger.debug(`Unable to read capabilities for ${entry.name}: ${error.message}`)
+      }
+      models.push({ name: entry.name, vision })
+    }
+    return models
+  }
+
   return {
-    generateFilename
+    model,
+    // Greedy decoding returns the same answer every time, so extra samples are wasted.
+    deterministic: generationOptions.temperature === 0,
+    generateFilename,
+    listModels
   }
 }
 
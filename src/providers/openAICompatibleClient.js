@@ -1,4 +1,16 @@
 const { parseModelResponse } = require('../utils/parseModelResponse')
+const { createRetryPolicy, postWithRetry, fetchJson } = require('./requestWithRetry')
+const { estimatePromptTokens } = require('./rateLimiter')
+const { readLines, stallTimeoutMs } = require('./streamResponse')
+
+// OpenAI only decodes these image types; local servers hand images to their own decoders.
+const BACKEND_IMAGE_TYPES = {
+  openai: new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+}
+const RESPONSE_FORMAT_ERROR = /response_format|json_schema|json_object/i
+// /v1/models carries no capability data, so vision support is inferred from the name.
+// Of the o-series, o1-mini, o1-preview, and o3-mini are text-only.
+const VISION_MODEL_PATTERN = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o1(?!-mini|-preview)|^o3(?!-mini)|^o4-mini|vision|llava|bakllava|-vl\b|vl-|pixtral|gemma-?3|moondream|minicpm-v|llama-?3\.2-\d+b-vision/i
 
 function normalizeBaseUrl (rawBaseUrl, logger) {
   const trimmed = (rawBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')
@@ -19,6 +31,15 @@ function createOpenAICompatibleClient (options, logger) {
   const endpoint = `${baseUrl}/chat/completions`
   const model = options.model || (options.provider === 'lm-studio' ? 'lmstudio-community/llava' : 'gpt-4o')
   const useJsonMode = options.jsonMode !== false
+  const retryPolicy = createRetryPolicy(options)
+  const supportedImageTypes = BACKEND_IMAGE_TYPES[options.provider] || null
+  const streaming = Boolean(options.stream)
+  const stallMs = stallTimeoutMs(options)
+  let formatIndex = 0
+
+  function imagePart (base64, mediaType) {
+    return { type: 'image_url', image_url: { url: `data:${mediaType};base64,${base64}` } }
+  }
 
   function buildBody (prompt, responseFormatType) {
     const userContent = [{ type: 'text', text: prompt.userMessage }]
@@ -26,11 +47,17 @@ function createOpenAICompatibleClient (options, logger) {
     const frames = prompt.frames || []
 
     images.forEach(image => {
-      userContent.push({ type: 'image', image_base64: image.base64, media_type: image.mediaType })
+      if (supportedImageTypes && !supportedImageTypes.has(image.mediaType)) {
+        if (logger) {
+          logger.debug(`${options.provider} does not accept ${image.mediaType} images; sending text context only`)
+        }
+        return
+      }
+      userContent.push(imagePart(image.base64, image.mediaType))
     })
 
     frames.forEach(frame => {
-      userContent.push({ type: 'image', image_base64: frame, media_type: 'image/jpeg' })
+      userContent.push(imagePart(frame, 'image/jpeg'))
     })
 
     const body = {
@@ -44,18 +71,53 @@ function createOpenAICompatibleClient (options, logger) {
         {
           role: 'user',
           content: userContent
-        }
+        },
+        ...(prompt.conversation || [])
       ]
     }
 
-    if (responseFormatType) {
+    if (streaming) {
+      body.stream = true
+      body.stream_options = { include_usage: true }
+    }
+
+    if (responseFormatType === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'file_rename', schema: prompt.responseSchema, strict: true }
+      }
+    } else if (responseFormatType) {
       body.response_format = { type: responseFormatType }
     }
 
     return body
   }
 
-  async function sendRequest (prompt, responseFormatType) {
+  // Server-sent events: "data: {...}" chunks with content deltas, then "data: [DONE]".
+  // With include_usage the last chunk before [DONE] holds the token counts.
+  async function readStreamedCompletion (response, onProgress) {
+    let content = ''
+    let usage = null
+    await readLines(response, {
+      label: 'Provider',
+      stallMs,
+      onLine: (line) => {
+        if (!line.startsWith('data:')) return
+        const payload = line.slice(5).trim()
+        if (payload === '[DONE]') return
+        const chunk = JSON.parse(payload)
+        const delta = chunk.choices?.[0]?.delta?.content
+        if (delta) {
+          content += delta
+          if (onProgress) onProgress(content)
+        }
+        if (chunk.usage) usage = chunk.usage
+      }
+    })
+    return { choices: [{ message: { content } }], usage }
+  }
+
+  async function sendRequest (prompt, responseFormatType, { onUsage, onProgress, ...requestOptions }) {
     const headers = {
       'Content-Type': 'application/json'
     }
@@ -65,47 +127,91 @@ function createOpenAICompatibleClient (options, logger) {
 
     const body = buildBody(prompt, responseFormatType)
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
+    const tokens = estimatePromptTokens(prompt)
+    const data = await postWithRetry(endpoint, {
       headers,
       body: JSON.stringify(body)
+    }, {
+      label: 'Provider',
+      policy: retryPolicy,
+      logger,
+      tokens,
+      ...requestOptions,
+      read: (response) => streaming ? readStreamedCompletion(response, onProgress) : response.json()
     })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      const message = errorText || `status ${response.status}`
-
-      throw new Error(`Provider request failed (${response.status}): ${message}`)
+    if (data.usage) {
+      const usage = { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      if (retryPolicy.limiter) retryPolicy.limiter.adjust(usage.inputTokens + usage.outputTokens - tokens)
+      if (onUsage) onUsage(usage)
     }
-
-    const data = await response.json()
     const message = data.choices?.[0]?.message?.content
     const parsed = parseModelResponse(message)
     return parsed
   }
 
-  async function generateFilename (prompt) {
-    const prefersJson = Boolean(useJsonMode)
-    const initialFormat = prefersJson ? 'json_object' : 'text'
+  async function generateFilename (prompt, { signal, onAttempt, onUsage, onProgress } = {}) {
+    const formats = useJsonMode
+      ? [prompt.responseSchema ? 'json_schema' : null, 'json_object', 'text'].filter(Boolean)
+      : ['text']
+
+    // Servers reject response formats they do not implement; step down to the next
+    // one and remember it so later files skip the failing request.
+    for (let index = Math.min(formatIndex, formats.length - 1); ; index += 1) {
+      try {
+        const result = await sendRequest(prompt, formats[index], { signal, onAttempt, onUsage, onProgress })
+        formatIndex = index
+        return result
+      } catch (error) {
+        const nextFormat = formats[index + 1]
+        if (!nextFormat || error.status !== 400 || !RESPONSE_FORMAT_ERROR.test(error.message)) {
+          throw error
+        }
 
-    try {
-      return await sendRequest(prompt, initialFormat)
-    } catch (error) {
-      const canRetryAsText = prefersJson && initialFormat === 'json_object' && /'response_format.type' must be 'json_schema' or 'text'/.test(error.message)
-      if (!canRetryAsText) {
-        throw error
+        if (logger && typeof logger.warn === 'function') {
+          logger.warn(`Provider rejected ${formats[index]} response_format; retrying with ${nextFormat === 'text' ? 'plain text' : nextFormat} responses.`)
+        }
       }
+    }
+  }
 
-      if (logger && typeof logger.warn === 'function') {
-        logger.warn('Provider rejected json_object response_format; retrying with plain text responses.')
-      }
+  function authHeaders () {
+    return options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}
+  }
 
-      return sendRequest(prompt, 'text')
+  async function listLmStudioModels () {
+    // LM Studio's native REST API reports whether a model is a VLM.
+    const origin = baseUrl.replace(/\/v\d+$/, '')
+    const data = await fetchJson(`${origin}/api/v0/models`, { policy: retryPolicy })
+    if (!Array.isArray(data.data)) {
+      throw new Error('unexpected response from /api/v0/models')
     }
+    return data.data
+      .filter(entry => entry.type !== 'embeddings')
+      .map(entry => ({ name: entry.id, vision: entry.type === 'vlm' }))
+  }
+
+  async function listModels () {
+    if (options.provider === 'lm-studio') {
+      try {
+        return await listLmStudioModels()
+      } catch (error) {
+        if (logger) {
+          logger.debug(`LM Studio model API unavailable, using /v1/models: ${error.message}`)
+        }
+      }
+    }
+
+    const data = await fetchJson(`${baseUrl}/models`, { headers: authHeaders(), policy: retryPolicy })
+    return (data.data || []).map(entry => ({
+      name: entry.id,
+      vision: VISION_MODEL_PATTERN.test(entry.id)
+    }))
   }
 
   return {
-    generateFilename
+    model,
+    generateFilename,
+    listModels
   }
 }
 
@@ -0,0 +1,121 @@
+const { createProviderClient } = require('./createProviderClient')
+const { isUnreachableError } = require('./requestWithRetry')
+const { createRateLimiter } = require('./rateLimiter')
+const { INVALID_MODEL_RESPONSE } = require('../utils/parseModelResponse')
+
+const CLOUD_PROVIDERS = new Set(['openai', 'anthropic'])
+const UNAVAILABLE_COOLDOWN_MS = 60000
+
+// Fallback entries are written "provider[:model][@baseUrl]", e.g. "ollama:llava:13b"
+// or "lm-studio@http://127.0.0.1:1234/v1"; config files may also use objects.
+function parseFallbackEntry (value) {
+  if (value && typeof value === 'object') {
+    if (!value.provider) {
+      throw new Error(`Fallback entry is missing "provider": ${JSON.stringify(value)}`)
+    }
+    return { provider: String(value.provider).toLowerCase(), model: value.model || '', baseUrl: value.baseUrl || '' }
+  }
+
+  const raw = String(value || '').trim()
+  if (!raw) return null
+  const atIndex = raw.indexOf('@')
+  const target = atIndex === -1 ? raw : raw.slice(0, atIndex)
+  const baseUrl = atIndex === -1 ? '' : raw.slice(atIndex + 1)
+  const colonIndex = target.indexOf(':')
+  return {
+    provider: (colonIndex === -1 ? target : target.slice(0, colonIndex)).toLowerCase(),
+    model: colonIndex === -1 ? '' : target.slice(colonIndex + 1),
+    baseUrl
+  }
+}
+
+function parseFallbackList (value) {
+  if (!value) return []
+  const items = Array.isArray(value) ? value : String(value).split(',')
+  return items.map(parseFallbackEntry).filter(Boolean)
+}
+
+function shouldFallBack (error) {
+  return error.code === INVALID_MODEL_RESPONSE || isUnreachableError(error)
+}
+
+// `limiters` may be shared between chains (one per routed file category) so every
+// request to a provider draws from the same allowance.
+function createProviderChain (options, logger, primaryClient = null, limiters = new Map()) {
+  // One limiter per provider, shared by every chain entry that uses it.
+  const rateLimits = options.rateLimits || {}
+  const limiterFor = (provider) => {
+    if (!limiters.has(provider)) {
+      limiters.set(provider, createRateLimiter(rateLimits[provider], { name: provider, logger }))
+    }
+    return limiters.get(provider)
+  }
+
+  const primaryName = (options.provider || 'ollama').toLowerCase()
+  const entries = [{
+    provider: primaryName,
+    client: primaryClient || createProviderClient({ ...options, rateLimiter: limiterFor(primaryName) }, logger)
+  }]
+
+  for (const fallback of parseFallbackList(options.fallback)) {
+    if (CLOUD_PROVIDERS.has(fallback.provider) && !options.allowCloudFallback) {
+      logger.warn(`Ignoring ${fallback.provider} fallback; pass --allow-cloud-fallback to send files to a cloud provider.`)
+      continue
+    }
+    entries.push({
+      provider: fallback.provider,
+      client: createProviderClient({
+        ...options,
+        provider: fallback.provider,
+        model: fallback.model,
+        baseUrl: fallback.baseUrl,
+        rateLimiter: limiterFor(fallback.provider)
+      }, logger)
+    })
+  }
+
+  const unavailableUntil = new Map()
+
+  return {
+    entries: entries.map(entry => ({ provider: entry.provider, model: entry.client.model, client: entry.client })),
+    // Total time requests spent queued behind client-side rate limits.
+    rateLimitWaitMs () {
+      return Array.from(limiters.values()).filter(Boolean).reduce((sum, limiter) => sum + limiter.waitedMs(), 0)
+    },
+    hasRateLimits () {
+      return Array.from(limiters.values()).some(Boolean)
+    },
+    // Tries each provider in order; `attempt(entry, position)` runs one request and
+    // may throw. Unreachable providers are skipped for a minute so later files do
+    // not wait on them again.
+    async run (attempt) {
+      let lastError = null
+      for (const [position, entry] of entries.entries()) {
+        const isLast = position === entries.length - 1
+        const key = `${entry.provider}/${entry.client.model}`
+        if (!isLast && unavailableUntil.get(key) > Date.now()) continue
+
+        try {
+          const result = await attempt({ provider: entry.provider, model: entry.client.model, client: entry.client }, position)
+          unavailableUntil.delete(key)
+          return result
+        } catch (error) {
+          if (isLast || !shouldFallBack(error)) throw error
+          lastError = error
+          if (error.code !== INVALID_MODEL_RESPONSE) {
+            unavailableUntil.set(key, Date.now() + UNAVAILABLE_COOLDOWN_MS)
+          }
+          const next = entries[position + 1]
+          logger.warn(`${key} failed (${error.message.split('\n')[0]}); falling back to ${next.provider}/${next.client.model}`)
+        }
+      }
+      throw lastError
+    }
+  }
+}
+
+module.exports = {
+  createProviderChain,
+  parseFallbackEntry,
+  parseFallbackList
+}
@@ -0,0 +1,96 @@
+const { getFileCategory } = require('../utils/fileType')
+const { createProviderChain, parseFallbackEntry } = require('./providerChain')
+
+const CATEGORIES = ['text', 'pdf', 'office', 'image', 'video', 'binary']
+const SKIP = 'skip'
+
+// Routes are written "category=provider[:model][@baseUrl]" and comma-separated, e.g.
+// "image=ollama:llava:13b,binary=skip". Config files may use an object keyed by
+// category whose values are the same strings or fallback-style objects.
+function parseRoutes (value) {
+  if (!value) return new Map()
+
+  const pairs = typeof value === 'object' && !Array.isArray(value)
+    ? Object.entries(value)
+    : (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .map((item) => {
+          const equalsIndex = item.indexOf('=')
+          if (equalsIndex === -1) {
+            throw new Error(`Invalid route "${item}" (expected category=provider[:model][@baseUrl])`)
+          }
+          return [item.slice(0, equalsIndex), item.slice(equalsIndex + 1)]
+        })
+
+  const routes = new Map()
+  for (const [rawCategory, target] of pairs) {
+    const category = String(rawCategory).trim().toLowerCase()
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown route category "${rawCategory}" (expected one of ${CATEGORIES.join(', ')})`)
+    }
+    if (typeof target === 'string' && target.trim().toLowerCase() === SKIP) {
+      routes.set(category, SKIP)
+      continue
+    }
+    const entry = parseFallbackEntry(typeof target === 'string' ? target.trim() : target)
+    if (!entry || !entry.provider) {
+      throw new Error(`Route for ${category} files has no provider`)
+    }
+    routes.set(category, entry)
+  }
+  return routes
+}
+
+// Builds one provider chain per routed category; categories without a route use the
+// main chain. Every chain shares the rate limiters, and the --fallback list applies
+// to each of them.
+function createProviderRoutes (options, logger, primaryClient = null) {
+  const limiters = new Map()
+  const defaultChain = createProviderChain(options, logger, primaryClient, limiters)
+  const routes = parseRoutes(options.routes)
+  const primaryName = (options.provider || 'ollama').toLowerCase()
+  const chains = new Map()
+
+  for (const [category, route] of routes) {
+    if (route === SKIP) {
+      chains.set(category, null)
+      continue
+    }
+    chains.set(category, createProviderChain({
+      ...options,
+      provider: route.provider,
+      model: route.model,
+      // A route to the main provider keeps its --base-url unless it names its own.
+      baseUrl: route.baseUrl || (route.provider === primaryName ? options.baseUrl : '')
+    }, logger, null, limiters))
+  }
+
+  function forCategory (category) {
+    return chains.has(category) ? chains.get(category) : defaultChain
+  }
+
+  return {
+    ...defaultChain,
+    // Returns the chain for a file, or null when its category is routed to "skip".
+    forFile (filePath) {
+      return forCategory(getFileCategory(filePath))
+    },
+    // Distinct chains with the categories they serve, for the pre-run model check.
+    chains () {
+      const grouped = new Map()
+      for (const category of CATEGORIES) {
+        const chain = forCategory(category)
+        if (!chain) continue
+        if (!grouped.has(chain)) grouped.set(chain, [])
+        grouped.get(chain).push(category)
+      }
+      return Array.from(grouped, ([chain, categories]) => ({ chain, categories }))
+    }
+  }
+}
+
+module.exports = {
+  createProviderRoutes,
+  parseRoutes
+}
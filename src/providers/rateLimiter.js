@@ -0,0 +1,101 @@
+const { setTimeout: delay } = require('timers/promises')
+
+const WINDOW_MS = 60000
+const IMAGE_TOKEN_ESTIMATE = 765
+const OUTPUT_TOKEN_ESTIMATE = 200
+
+function parseLimit (value, label) {
+  if (value === undefined || value === null || value === '' || Number(value) === 0) return null
+  const limit = Number(value)
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw new Error(`Invalid rate limit ${label} "${value}" (expected a positive number)`)
+  }
+  return limit
+}
+
+// Rough pre-request token count used for tokens-per-minute pacing; the provider's
+// reported usage corrects it once the response arrives.
+function estimatePromptTokens (prompt) {
+  const text = [prompt.systemMessage, prompt.userMessage, ...(prompt.conversation || []).map(turn => turn.content)]
+    .filter(value => typeof value === 'string')
+    .join('\n')
+  const visuals = (prompt.images || []).length + (prompt.frames || []).length
+  return Math.ceil(text.length / 4) + visuals * IMAGE_TOKEN_ESTIMATE + OUTPUT_TOKEN_ESTIMATE
+}
+
+// Sliding one-minute window shared by every request to one provider. Callers queue
+// in order, so concurrent workers and retries all draw from the same allowance.
+function createRateLimiter ({ rpm, tpm } = {}, { name = 'provider', logger = null } = {}) {
+  const requestLimit = parseLimit(rpm, `${name}.rpm`)
+  const tokenLimit = parseLimit(tpm, `${name}.tpm`)
+  if (requestLimit === null && tokenLimit === null) return null
+
+  const window = []
+  let queue = Promise.resolve()
+  let blockedUntil = 0
+  let waitedMs = 0
+
+  function prune (now) {
+    while (window.length && now - window[0].time >= WINDOW_MS) {
+      window.shift()
+    }
+  }
+
+  function waitNeeded (tokens, now) {
+    prune(now)
+    let waitMs = Math.max(0, blockedUntil - now)
+    const requests = window.reduce((count, entry) => count + entry.requests, 0)
+    if (requestLimit !== null && requests >= requestLimit) {
+      const oldest = window.find(entry => entry.requests)
+      waitMs = Math.max(waitMs, oldest.time + WINDOW_MS - now)
+    }
+    if (tokenLimit !== null && window.length) {
+      // Expire entries from the front until the request fits; a request larger
+      // than the whole limit only waits for an empty window.
+      let used = window.reduce((sum, entry) => sum + entry.tokens, 0)
+      for (const entry of window) {
+        if (used + tokens <= tokenLimit) break
+        used -= entry.tokens
+        waitMs = Math.max(waitMs, entry.time + WINDOW_MS - now)
+      }
+    }
+    return waitMs
+  }
+
+  async function reserve (tokens, signal) {
+    let waitMs = waitNeeded(tokens, Date.now())
+    if (waitMs > 0 && logger) {
+      logger.info(`Waiting ${(waitMs / 1000).toFixed(1)}s for the ${name} rate limit`)
+    }
+    while (waitMs > 0) {
+      await delay(waitMs, undefined, signal ? { signal } : undefined)
+      waitedMs += waitMs
+      waitMs = waitNeeded(tokens, Date.now())
+    }
+    window.push({ time: Date.now(), requests: 1, tokens })
+  }
+
+  return {
+    acquire ({ tokens = 0, signal = null } = {}) {
+      const turn = queue.then(() => reserve(tokens, signal))
+      queue = turn.catch(() => {})
+      return turn
+    },
+    // Replaces an estimate with the provider's count once it is known.
+    adjust (tokens) {
+      if (tokens) window.push({ time: Date.now(), requests: 0, tokens })
+    },
+    // A 429 means the provider's own window is full; hold every caller back.
+    pause (ms) {
+      blockedUntil = Math.max(blockedUntil, Date.now() + ms)
+    },
+    waitedMs () {
+      return waitedMs
+    }
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+  estimatePromptTokens
+}
@@ -0,0 +1,153 @@
+const { setTimeout: delay } = require('timers/promises')
+
+// 529 is Anthropic's "overloaded" status.
+const TRANSIENT_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504, 529])
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'])
+// Not worth retrying against the same endpoint, but a reason to try another provider.
+const UNREACHABLE_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH'])
+const BASE_DELAY_MS = 1000
+const MAX_DELAY_MS = 30000
+const MAX_RETRY_AFTER_MS = 300000
+
+function createRetryPolicy (options = {}) {
+  const timeoutSeconds = Number(options.requestTimeout)
+  const maxRetries = Number(options.maxRetries)
+  return {
+    timeoutMs: Number.isFinite(timeoutSeconds) && timeoutSeconds > 0 ? timeoutSeconds * 1000 : 0,
+    maxRetries: Number.isFinite(maxRetries) && maxRetries > 0 ? Math.floor(maxRetries) : 0,
+    baseDelayMs: BASE_DELAY_MS,
+    maxDelayMs: MAX_DELAY_MS,
+    limiter: options.rateLimiter || null
+  }
+}
+
+function parseRetryAfter (value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.min(Math.max(0, seconds * 1000), MAX_RETRY_AFTER_MS)
+  }
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.min(Math.max(0, date - Date.now()), MAX_RETRY_AFTER_MS)
+}
+
+function backoffDelay (retryNumber, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retryNumber - 1))
+  // "Equal jitter": half the window is fixed, the other half random, so parallel
+  // workers that failed together do not retry in lockstep.
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2))
+}
+
+function errorCode (error) {
+  return error.code || (error.cause && error.cause.code)
+}
+
+function isTransientError (error) {
+  if (error.name === 'TimeoutError') return true
+  return TRANSIENT_ERROR_CODES.has(errorCode(error))
+}
+
+function isUnreachableError (error) {
+  return Boolean(error.transient) || isTransientError(error) || UNREACHABLE_ERROR_CODES.has(errorCode(error))
+}
+
+// `read(response)` consumes the body inside the attempt, so a streamed reply that
+// stalls or drops part-way is retried like a failed request. Without it the
+// response itself is returned.
+async function postWithRetry (url, init, { label, policy, logger, signal = null, onAttempt = null, tokens = 0, read = null }) {
+  const totalAttempts = policy.maxRetries + 1
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (policy.limiter) {
+      await policy.limiter.acquire({ tokens, signal })
+    }
+    const signals = [signal, policy.timeoutMs ? AbortSignal.timeout(policy.timeoutMs) : null].filter(Boolean)
+    const startedAt = Date.now()
+    let failure
+    let retryAfterMs = null
+
+    try {
+      const response = await fetch(url, {
+        ...init,
+        method: 'POST',
+        signal: signals.length ? AbortSignal.any(signals) : undefined
+      })
+
+      if (response.ok) {
+        const result = read ? await read(response) : response
+        if (onAttempt) {
+          onAttempt({ attempt, status: response.status, outcome: 'ok', durationMs: Date.now() - startedAt })
+        }
+        return result
+      }
+
+      const errorText = await response.text()
+      failure = new Error(`${label} request failed (${response.status}): ${errorText || `status ${response.status}`}`)
+      failure.status = response.status
+      failure.transient = TRANSIENT_STATUS_CODES.has(response.status)
+      retryAfterMs = parseRetryAfter(response.headers.get('retry-after'))
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error
+      }
+      failure = error
+      // Stalled streams raise their own (already transient) TimeoutError.
+      if (error.name === 'TimeoutError' && !error.transient) {
+        failure = new Error(`${label} request timed out after ${policy.timeoutMs / 1000}s`)
+        failure.name = 'TimeoutError'
+      }
+      failure.transient = isTransientError(failure)
+    }
+
+    const willRetry = failure.transient && attempt < totalAttempts
+    const delayMs = willRetry ? (retryAfterMs ?? backoffDelay(attempt, policy)) : null
+    if (policy.limiter && failure.status === 429) {
+      policy.limiter.pause(delayMs ?? retryAfterMs ?? policy.baseDelayMs)
+    }
+    if (onAttempt) {
+      onAttempt({
+        attempt,
+        status: failure.status || null,
+        outcome: willRetry ? 'retry' : 'failed',
+        error: failure.message,
+        durationMs: Date.now() - startedAt,
+        retryInMs: delayMs
+      })
+    }
+
+    if (!willRetry) {
+      throw failure
+    }
+
+    if (logger) {
+      logger.warn(`${failure.message}; retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${totalAttempts})`)
+    }
+    await delay(delayMs, undefined, signal ? { signal } : undefined)
+  }
+}
+
+// Discovery requests (model lists, capabilities) are cheap and optional, so they get
+// a plain timeout instead of the retry loop.
+async function fetchJson (url, { method = 'GET', headers = {}, body, policy }) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: policy && policy.timeoutMs ? AbortSignal.timeout(policy.timeoutMs) : undefined
+  })
+  if (!response.ok) {
+    const errorText = await response.text()
+    const error = new Error(`${method} ${url} failed (${response.status}): ${errorText || `status ${response.status}`}`)
+    error.status = response.status
+    throw error
+  }
+  return response.json()
+}
+
+module.exports = {
+  createRetryPolicy,
+  fetchJson,
+  postWithRetry,
+  isUnreachableError
+}
@@ -0,0 +1,66 @@
+const DEFAULT_STALL_SECONDS = 60
+
+function stallTimeoutMs (options = {}) {
+  if (options.stallTimeout === undefined || options.stallTimeout === null || options.stallTimeout === '') {
+    return DEFAULT_STALL_SECONDS * 1000
+  }
+  const seconds = Number(options.stallTimeout)
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0
+}
+
+// Reads a streamed response body line by line (NDJSON or server-sent events). The
+// stall timer starts with the first chunk and restarts with every one after it, so a
+// model that stops producing tokens is abandoned after `stallMs` even while the
+// overall request timeout has time left. The wait for the first token is left to
+// that request timeout, since model loading and image encoding come before it.
+async function readLines (response, { label, stallMs = 0, onLine }) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let timer = null
+  let stalled = false
+  let finished = false
+
+  const arm = () => {
+    if (!stallMs) return
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      stalled = true
+      reader.cancel().catch(() => {})
+    }, stallMs)
+  }
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done || stalled) {
+        finished = true
+        break
+      }
+      arm()
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+      lines.map(line => line.trim()).filter(Boolean).forEach(onLine)
+    }
+  } finally {
+    clearTimeout(timer)
+    // A throwing onLine or a failed read leaves the body open; release it.
+    if (!finished) reader.cancel().catch(() => {})
+  }
+
+  if (stalled) {
+    const error = new Error(`${label} stream stalled: no tokens for ${stallMs / 1000}s`)
+    error.name = 'TimeoutError'
+    error.transient = true
+    throw error
+  }
+
+  const rest = (buffer + decoder.decode()).trim()
+  if (rest) onLine(rest)
+}
+
+module.exports = {
+  readLines,
+  stallTimeoutMs
+}
@@ -0,0 +1,16 @@
+const crypto = require('crypto')
+const fs = require('fs')
+
+function hashFile (filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm)
+    const stream = fs.createReadStream(filePath)
+    stream.on('error', reject)
+    stream.on('data', chunk => hash.update(chunk))
+    stream.on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+module.exports = {
+  hashFile
+}
@@ -0,0 +1,22 @@
+const fs = require('fs')
+
+// Renames, moves, duplicate deletions, and the folders they create go through these
+// calls, so embedders can swap in their own implementation (or wrap the default
+// one). The operation log, checkpoint, response cache, and plan file are written
+// with Node's fs directly.
+const defaultFileSystem = {
+  stat: fs.promises.stat,
+  mkdir: fs.promises.mkdir,
+  rename: fs.promises.rename,
+  rm: fs.promises.rm,
+  existsSync: fs.existsSync
+}
+
+function resolveFileSystem (custom) {
+  return custom ? { ...defaultFileSystem, ...custom } : defaultFileSystem
+}
+
+module.exports = {
+  defaultFileSystem,
+  resolveFileSystem
+}
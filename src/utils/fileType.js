@@ -2,6 +2,7 @@ const path = require('path')
 
 const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.markdown', '.json', '.csv', '.log'])
 const PDF_EXTENSIONS = new Set(['.pdf'])
+const OFFICE_EXTENSIONS = new Set(['.docx', '.xlsx', '.pptx'])
 const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tiff', '.svg'])
 const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.avi', '.mkv', '.webm'])
 
@@ -13,6 +14,7 @@ function getFileCategory (filePath) {
   const ext = getExtension(filePath)
   if (TEXT_EXTENSIONS.has(ext)) return 'text'
   if (PDF_EXTENSIONS.has(ext)) return 'pdf'
+  if (OFFICE_EXTENSIONS.has(ext)) return 'office'
   if (IMAGE_EXTENSIONS.has(ext)) return 'image'
   if (VIDEO_EXTENSIONS.has(ext)) return 'video'
   return 'binary'
@@ -23,6 +25,7 @@ module.exports = {
   getFileCategory,
   TEXT_EXTENSIONS,
   PDF_EXTENSIONS,
+  OFFICE_EXTENSIONS,
   IMAGE_EXTENSIONS,
   VIDEO_EXTENSIONS
 }
@@ -1,6 +1,6 @@
 const levels = ['debug', 'info', 'warn', 'error']
 
-function buildLogger () {
+function buildLogger ({ useStderr = false } = {}) {
   const levelFromEnv = process.env.AI_RENAMER_LOG_LEVEL || 'info'
   const threshold = levels.indexOf(levelFromEnv) === -1 ? 1 : levels.indexOf(levelFromEnv)
 
@@ -8,8 +8,10 @@ function buildLogger () {
     const levelIndex = levels.indexOf(level)
     if (levelIndex === -1 || levelIndex < threshold) return
     const prefix = `[${new Date().toISOString()}] ${level.toUpperCase()}:`
+    // Machine-readable output owns stdout, so every level goes to stderr then.
+    const method = useStderr ? 'error' : level === 'debug' ? 'log' : level
     // eslint-disable-next-line no-console
-    console[level === 'debug' ? 'log' : level](prefix, message, ...rest)
+    console[method](prefix, message, ...rest)
   }
 
   return {
@@ -20,6 +22,12 @@ function buildLogger () {
   }
 }
 
+function buildSilentLogger () {
+  const noop = () => {}
+  return { debug: noop, info: noop, warn: noop, error: noop }
+}
+
 module.exports = {
-  buildLogger
+  buildLogger,
+  buildSilentLogger
 }
@@ -56,6 +56,78 @@ async function createOperationLog ({ rootDirectory, explicitPath, logger }) {
   }
 }
 
+function localDay (date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+async function createDailyOperationLog ({ rootDirectory, explicitPath, logger }) {
+  const pathForDay = (day) => {
+    if (!explicitPath) {
+      return path.join(rootDirectory, `ai-renamer-log-${day}.jsonl`)
+    }
+    const resolved = path.resolve(explicitPath)
+    const { dir, name, ext } = path.parse(resolved)
+    return path.join(dir, `${name}-${day}${ext || '.jsonl'}`)
+  }
+
+  let day = localDay()
+  let current = await createOperationLog({ rootDirectory, explicitPath: pathForDay(day), logger })
+  let rotation = Promise.resolve()
+
+  function rotate (nextDay) {
+    const previous = current
+    const buffered = []
+    current = { path: null, write: (entry) => buffered.push(entry), close: async () => {} }
+    rotation = rotation.then(async () => {
+      await previous.close()
+      const next = await createOperationLog({ rootDirectory, explicitPath: pathForDay(nextDay), logger })
+      buffered.forEach(entry => next.write(entry))
+      current = next
+    })
+  }
+
+  return {
+    get path () {
+      return current.path
+    },
+    isLogPath (filePath) {
+      return path.dirname(filePath) === path.dirname(pathForDay(day)) &&
+        path.basename(filePath).startsWith(path.parse(pathForDay('')).name)
+    },
+    write (entry) {
+      const today = localDay()
+      if (today !== day) {
+        day = today
+        rotate(today)
+      }
+      current.write(entry)
+    },
+    async close () {
+      await rotation
+      await current.close()
+    }
+  }
+}
+
+async function readOperationLog (logPath) {
+  const raw = await fsPromises.readFile(logPath, 'utf8')
+  const entries = []
+  raw.split('\n').forEach((line, index) => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    try {
+      entries.push(JSON.parse(trimmed))
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${logPath}: ${error.message}`)
+    }
+  })
+  return entries
+}
+
 module.exports = {
-  createOperationLog
+  createNoopLogger,
+  createOperationLog,
+  createDailyOperationLog,
+  readOperationLog
 }
@@ -1,6 +1,15 @@
+const INVALID_MODEL_RESPONSE = 'INVALID_MODEL_RESPONSE'
+
+function invalidResponseError (message, rawResponse = null) {
+  const error = new Error(message)
+  error.code = INVALID_MODEL_RESPONSE
+  error.rawResponse = rawResponse
+  return error
+}
+
 function parseModelResponse (text) {
   if (!text) {
-    throw new Error('Model returned empty response')
+    throw invalidResponseError('Model returned empty response')
   }
 
   const trimmed = text.trim()
@@ -14,13 +23,24 @@ function parseModelResponse (text) {
       try {
         return JSON.parse(candidate)
       } catch (err) {
-        throw new Error(`Unable to parse model response as JSON: ${err.message}\nResponse: ${trimmed}`)
+        throw invalidResponseError(`Unable to parse model response as JSON: ${err.message}\nResponse: ${trimmed}`, trimmed)
       }
     }
-    throw new Error(`Unable to parse model response as JSON: ${error.message}\nResponse: ${trimmed}`)
+    throw invalidResponseError(`Unable to parse model response as JSON: ${error.message}\nResponse: ${trimmed}`, trimmed)
   }
 }
 
+// Pulls the filename out of a reply that is still streaming, for progress display.
+// Returns null until the "filename" value has started.
+function partialFilename (text) {
+  const match = (text || '').match(/"(?:filename|fileName)"\s*:\s*"((?:[^"\\]|\\.)*)/)
+  if (!match) return null
+  return match[1].replace(/\\(.)/g, '$1')
+}
+
 module.exports = {
-  parseModelResponse
+  parseModelResponse,
+  partialFilename,
+  invalidResponseError,
+  INVALID_MODEL_RESPONSE
 }
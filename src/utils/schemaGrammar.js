@@ -0,0 +1,137 @@
+// Converts the JSON schema sent to other providers into a GBNF grammar for
+// llama.cpp, so the sampler can only produce matching JSON. Covers the subset the
+// response schema uses: objects, strings, numbers, integers, booleans, null,
+// arrays, enums, and type unions. Unknown shapes accept any JSON value.
+
+const PRIMITIVES = {
+  ws: String.raw`ws ::= | " " | "\n" [ \t]{0,20}`,
+  string: String.raw`string ::= "\"" ( [^"\\\x7F\x00-\x1F] | "\\" ( ["\\/bfnrt] | "u" [0-9a-fA-F]{4} ) )* "\"" ws`,
+  number: String.raw`number ::= "-"? ( [0-9] | [1-9] [0-9]{0,15} ) ( "." [0-9]+ )? ( [eE] [-+]? [0-9]+ )? ws`,
+  integer: String.raw`integer ::= "-"? ( [0-9] | [1-9] [0-9]{0,15} ) ws`,
+  // Confidence scores: 0, 1, or a decimal in between.
+  unit: String.raw`unit ::= ( "0" ( "." [0-9]{1,6} )? | "1" ( "." "0"{1,6} )? ) ws`,
+  boolean: String.raw`boolean ::= ( "true" | "false" ) ws`,
+  null: String.raw`null ::= "null" ws`,
+  value: String.raw`value ::= object | array | string | number | boolean | null`,
+  object: String.raw`object ::= "{" ws ( string ":" ws value ( "," ws string ":" ws value )* )? "}" ws`,
+  array: String.raw`array ::= "[" ws ( value ( "," ws value )* )? "]" ws`
+}
+
+const PRIMITIVE_DEPENDENCIES = {
+  string: ['ws'],
+  number: ['ws'],
+  integer: ['ws'],
+  unit: ['ws'],
+  boolean: ['ws'],
+  null: ['ws'],
+  value: ['object', 'array', 'string', 'number', 'boolean', 'null'],
+  object: ['ws', 'string', 'value'],
+  array: ['ws', 'value']
+}
+
+function literal (text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+function ruleName (base, key) {
+  const suffix = String(key).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'field'
+  return `${base}-${suffix}`
+}
+
+function schemaToGbnf (schema) {
+  const rules = []
+  const names = new Set()
+  const used = new Set()
+
+  function usePrimitive (name) {
+    if (used.has(name)) return name
+    used.add(name)
+    ;(PRIMITIVE_DEPENDENCIES[name] || []).forEach(usePrimitive)
+    return name
+  }
+
+  function define (name, body) {
+    let unique = name
+    for (let index = 2; names.has(unique); index += 1) {
+      unique = `${name}${index}`
+    }
+    names.add(unique)
+    rules.push(`${unique} ::= ${body}`)
+    return unique
+  }
+
+  function visitObject (node, name) {
+    const properties = Object.entries(node.properties)
+    const required = new Set(Array.isArray(node.required) ? node.required : [])
+    usePrimitive('ws')
+
+    const pair = ([key, child]) => `${literal(JSON.stringify(key))} ws ":" ws ${visit(child, ruleName(name, key))}`
+    // Required keys come first in schema order; optional keys may follow each one.
+    const mandatory = properties.filter(([key]) => required.has(key))
+    const optional = properties.filter(([key]) => !required.has(key))
+    if (!mandatory.length && optional.length) {
+      mandatory.push(optional.shift())
+    }
+
+    const parts = [
+      mandatory.map(pair).join(' "," ws '),
+      ...optional.map(entry => `( "," ws ${pair(entry)} )?`)
+    ].filter(Boolean)
+    return define(name, `"{" ws ${parts.join(' ')} "}" ws`)
+  }
+
+  function visit (node, name) {
+    if (!node || typeof node !== 'object') return usePrimitive('value')
+
+    if (Array.isArray(node.enum) && node.enum.length) {
+      usePrimitive('ws')
+      return define(name, `( ${node.enum.map(option => literal(JSON.stringify(option))).join(' | ')} ) ws`)
+    }
+
+    const types = Array.isArray(node.type) ? node.type : [node.type]
+    if (types.length > 1) {
+      const alternatives = types.map(type => visit({ ...node, type }, ruleName(name, type)))
+      return define(name, alternatives.join(' | '))
+    }
+
+    switch (types[0]) {
+      case 'string':
+        return usePrimitive('string')
+      case 'number':
+        return usePrimitive(node.minimum >= 0 && node.maximum <= 1 ? 'unit' : 'number')
+      case 'integer':
+        return usePrimitive('integer')
+      case 'boolean':
+        return usePrimitive('boolean')
+      case 'null':
+        return usePrimitive('null')
+      case 'array': {
+        usePrimitive('ws')
+        const item = visit(node.items, ruleName(name, 'item'))
+        return define(name, `"[" ws ( ${item} ( "," ws ${item} )* )? "]" ws`)
+      }
+      case 'object':
+        return node.properties && Object.keys(node.properties).length
+          ? visitObject(node, name)
+          : usePrimitive('object')
+      default:
+        return usePrimitive('value')
+    }
+  }
+
+  const root = visit(schema || { type: 'object' }, 'root')
+  if (root === 'root') {
+    rules.unshift(rules.pop())
+  } else {
+    rules.unshift(`root ::= ${root}`)
+  }
+
+  const primitiveRules = Object.keys(PRIMITIVES)
+    .filter(name => used.has(name))
+    .map(name => PRIMITIVES[name])
+  return [...rules, ...primitiveRules].join('\n')
+}
+
+module.exports = {
+  schemaToGbnf
+}
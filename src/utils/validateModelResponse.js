@@ -0,0 +1,94 @@
+const { parseModelResponse } = require('./parseModelResponse')
+
+const GENERIC_FILENAMES = new Set([
+  'file', 'filename', 'new file', 'untitled', 'untitled document', 'document', 'doc',
+  'image', 'img', 'photo', 'picture', 'video', 'scan', 'download', 'unknown', 'copy',
+  'renamed file', 'output', 'result', 'data', 'name'
+])
+
+function pick (raw, keys) {
+  for (const key of keys) {
+    if (raw[key] !== undefined) return raw[key]
+  }
+  return undefined
+}
+
+function isGenericFilename (filename) {
+  const base = filename.replace(/\.[^./]+$/, '').toLowerCase().replace(/[-_.\s]+/g, ' ').trim()
+  return !base || GENERIC_FILENAMES.has(base) || /^[\d\s]+$/.test(base)
+}
+
+function checkNullableString (errors, value, field) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    errors.push(`"${field}" must be a string or null`)
+  }
+}
+
+// Returns a list of human-readable problems with a model response; an empty list
+// means the response can be used. Field aliases mirror normaliseModelResult.
+function validateModelResponse (response, { appendDate = false, dateFormat = 'YYYY-MM-DD', datePattern = null } = {}) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return ['the response must be a JSON object']
+  }
+
+  const raw = typeof response.data === 'string' ? parseModelResponse(response.data) : response
+  const errors = []
+
+  const filename = pick(raw, ['filename', 'fileName', 'name'])
+  if (typeof filename !== 'string' || !filename.trim()) {
+    errors.push('"filename" must be a non-empty string')
+  } else if (isGenericFilename(filename)) {
+    errors.push(`"filename" "${filename}" is too generic; describe the file's contents`)
+  }
+
+  const subject = pick(raw, ['subject', 'topic'])
+  checkNullableString(errors, subject, 'subject')
+
+  const confidence = pick(raw, ['subject_confidence', 'subjectConfidence'])
+  if (confidence !== undefined && confidence !== null) {
+    if (typeof confidence !== 'number' || Number.isNaN(confidence)) {
+      errors.push('"subject_confidence" must be a number')
+    } else if (confidence < 0 || confidence > 1) {
+      errors.push(`"subject_confidence" must be between 0 and 1 (got ${confidence})`)
+    }
+  } else if (typeof subject === 'string' && subject.trim()) {
+    errors.push('"subject_confidence" is required when "subject" is set')
+  }
+
+  checkNullableString(errors, pick(raw, ['subject_brief', 'subjectBrief']), 'subject_brief')
+  checkNullableString(errors, pick(raw, ['document_description', 'documentDescription']), 'document_description')
+
+  const summary = pick(raw, ['summary', 'reason'])
+  if (summary !== undefined && summary !== null && typeof summary !== 'string') {
+    errors.push('"summary" must be a string')
+  }
+
+  const appliedDate = pick(raw, ['applied_date', 'appliedDate'])
+  if (appendDate && appliedDate !== undefined && appliedDate !== null) {
+    const value = typeof appliedDate === 'object' ? appliedDate.value : appliedDate
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push('"applied_date.value" must be a string or null')
+    } else if (typeof value === 'string' && value.trim() && datePattern) {
+      const anchored = new RegExp(`^${datePattern.source}$`)
+      if (!anchored.test(value.trim())) {
+        errors.push(`"applied_date.value" "${value}" does not match the date format ${dateFormat}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+function buildRepairMessage (errors) {
+  return [
+    'Your previous answer did not pass validation:',
+    ...errors.map(error => `- ${error}`),
+    'Reply with the corrected JSON object only, keeping every field from the schema.'
+  ].join('\n')
+}
+
+module.exports = {
+  validateModelResponse,
+  buildRepairMessage,
+  isGenericFilename
+}
@@ -0,0 +1,20 @@
+async function runWorkerPool (items, concurrency, worker, { shouldStop } = {}) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1)
+  let nextIndex = 0
+
+  async function runWorker () {
+    while (nextIndex < items.length) {
+      if (shouldStop && shouldStop()) return
+      const index = nextIndex
+      nextIndex += 1
+      await worker(items[index], index)
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () => runWorker())
+  await Promise.all(workers)
+}
+
+module.exports = {
+  runWorkerPool
+}
@@ -0,0 +1,80 @@
+const zlib = require('zlib')
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+// The end record is 22 bytes plus a comment of up to 65535 bytes.
+const MAX_END_RECORD_SEARCH = 22 + 0xffff
+const STORED = 0
+const DEFLATED = 8
+
+// Minimal reader for the zip containers Office documents use: reads the central
+// directory and inflates single entries on request. ZIP64 and encrypted archives
+// are not supported.
+function openZipArchive (buffer, { maxEntryBytes = 16 * 1024 * 1024 } = {}) {
+  let endRecord = -1
+  const searchFloor = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH)
+  for (let offset = buffer.length - 22; offset >= searchFloor; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      endRecord = offset
+      break
+    }
+  }
+  if (endRecord === -1) {
+    throw new Error('not a zip archive')
+  }
+
+  const entries = new Map()
+  const entryCount = buffer.readUInt16LE(endRecord + 10)
+  let offset = buffer.readUInt32LE(endRecord + 16)
+  for (let index = 0; index < entryCount; index += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('corrupt zip central directory')
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  function read (name) {
+    const entry = entries.get(name)
+    if (!entry) return null
+    if (entry.flags & 0x1) {
+      throw new Error(`${name} is encrypted`)
+    }
+    if (entry.size > maxEntryBytes) {
+      throw new Error(`${name} is larger than ${maxEntryBytes} bytes`)
+    }
+    if (buffer.readUInt32LE(entry.headerOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`corrupt zip entry ${name}`)
+    }
+    const dataStart = entry.headerOffset + 30 + buffer.readUInt16LE(entry.headerOffset + 26) + buffer.readUInt16LE(entry.headerOffset + 28)
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize)
+    if (entry.method === STORED) return data
+    if (entry.method === DEFLATED) return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes })
+    throw new Error(`unsupported compression method ${entry.method} for ${name}`)
+  }
+
+  return {
+    names: () => Array.from(entries.keys()),
+    has: (name) => entries.has(name),
+    read,
+    readText: (name) => {
+      const data = read(name)
+      return data ? data.toString('utf8') : null
+    }
+  }
+}
+
+module.exports = {
+  openZipArchive
+}